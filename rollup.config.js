@@ -4,7 +4,7 @@ export default {
   input: 'src/main.js',
   output: {
     file: 'dist/tidytree.js',
-    format: 'iife',
+    format: 'umd',
     globals: {
       'patristic': 'patristic'
     },
@@ -10,6 +10,7 @@ export default function TidyTree(data, options, events) {
     layout: "vertical",
     type: "tree",
     mode: "smooth",
+    theme: "light",
     leafNodes: true,
     leafLabels: false,
     branchNodes: false,
@@ -19,29 +20,46 @@ export default function TidyTree(data, options, events) {
     vStretch: 1,
     rotation: 0,
     ruler: true,
+    grid: false,
+    scaleBar: false,
+    legend: true,
+    mostRecentTip: null,
+    tipDatePattern: null,
+    brush: "rectangle",
+    support: null,
+    supportAttribute: null,
+    supportThreshold: null,
+    collapseUnsupported: false,
+    historyLimit: 100,
+    renderer: "svg",
     animation: 500,
-    margin: [50, 50, 50, 50] //CSS order: top, right, bottom, left
+    daylight: false,
+    semanticZoom: false,
+    alignTipLabels: false,
+    thinLabels: false,
+    margin: [50, 50, 50, 50] //CSS order: top, right, bottom, left, or "auto"
   };
   if (!options) options = {};
   Object.assign(this, defaults, options, {
-    events: {
-      draw: [],
-      showtooltip: [],
-      hidetooltip: [],
-      contextmenu: [],
-      search: [],
-      select: []
-    }
+    events: emptyEvents(),
+    styles: {},
+    collapsed: new Set(),
+    selection: new Map(),
+    matches: new Set(),
+    currentMatch: null,
+    history: { snapshots: [], index: -1 },
+    metadata: new Map(),
+    mappings: {}
   });
 
-  if(events) Object.keys(events).forEach(e => this.events[e].push(events[e]));
+  if(events) Object.keys(events).forEach(e => this.on(e, events[e]));
 
   if (this.parent) this.draw(this.parent);
 
   if (data instanceof patristic.Branch) {
     this.setData(data);
   } else {
-    this.setTree(data);
+    this.setTree(data, { tree: options.tree });
   }
 
   if (this.parent) this.recenter();
@@ -58,6 +76,19 @@ export default function TidyTree(data, options, events) {
 TidyTree.prototype.setData = function (data) {
   if (!data) throw Error("Invalid Data");
   this.data = data;
+  recordHistory.call(this);
+  rebuild.call(this);
+  this.trigger("datachange", { data: this.data, hierarchy: this.hierarchy });
+  return this;
+};
+
+/**
+ * Rebuilds the hierarchy from the data and redraws it. Options that change
+ * how the data is drawn (collapsed clades, metadata, support and so on) are
+ * applied this way, since, unlike `setData`, it isn't an edit.
+ * @private
+ */
+function rebuild() {
   this.range = [Number.MAX_SAFE_INTEGER, Number.MIN_SAFE_INTEGER];
   this.hierarchy = d3
     .hierarchy(this.data, d => d.children)
@@ -67,9 +98,292 @@ TidyTree.prototype.setData = function (data) {
       if (d.value < this.range[0]) this.range[0] = d.value;
       if (d.value > this.range[1]) this.range[1] = d.value;
     })
-    .each(d => (d.value /= this.range[1]));
-  if (this.parent) return this.redraw();
+    .each(d => (d.value /= this.range[1]))
+    .eachAfter(d => {
+      d.metadata = nodeMetadata.call(this, d.data);
+      d.support = supportValue.call(this, d);
+      d.leafCount = d.children ? d3.sum(d.children, c => c.leafCount) : 1;
+      d.maxValue = d.children ? d3.max(d.children, c => c.maxValue) : d.value;
+    });
+  if (this.collapseUnsupported) collapseUnsupported.call(this);
+  updateDates.call(this);
+  if (this.selection.size) {
+    //Carry the selection over, matching nodes by _guid or, for nodes that are
+    //gone, by id (so long as it's unique, as bootstrap labels often aren't)
+    let guids = new Set(),
+      byId = new Map(),
+      selection = new Map();
+    allNodes(this.hierarchy).forEach(d => {
+      guids.add(d.data._guid);
+      if (d.data.id) byId.set(d.data.id, byId.has(d.data.id) ? null : d.data);
+    });
+    this.selection.forEach((id, guid) => {
+      if (guids.has(guid)) return selection.set(guid, id);
+      let branch = id && byId.get(id);
+      if (branch) selection.set(branch._guid, id);
+    });
+    this.selection = selection;
+  }
+  this.hierarchy.each(d => {
+    //Hide the children of collapsed clades from the layout
+    if (d.parent && d.children && this.collapsed.has(d.data._guid)) {
+      d._children = d.children;
+      d.children = null;
+    }
+  });
+  if (this.rootToTipPanel) drawRootToTip.call(this);
+  if (this.parent) this.redraw();
+  return this;
+}
+
+/**
+ * Serializes a Branch and its descendants, keeping everything needed to
+ * restore them faithfully: ids, lengths, annotations and _guids (by which
+ * collapsed clades and the selection are remembered).
+ * @private
+ */
+function snapshot(branch) {
+  let plain = b => {
+    let node = { id: b.id, length: b.length, _guid: b._guid };
+    if (b.annotations) node.annotations = b.annotations;
+    if (b.children.length) node.children = b.children.map(plain);
+    return node;
+  };
+  return JSON.stringify(plain(branch));
+}
+/**
+ * Rebuilds the tree of Branches serialized by `snapshot`.
+ * @private
+ */
+function restore(json) {
+  let build = node => {
+    let branch = new patristic.Branch({ id: node.id, length: node.length });
+    branch._guid = node._guid;
+    if (node.annotations) branch.annotations = node.annotations;
+    if (node.children) node.children.forEach(child => branch.addChild(build(child)));
+    return branch;
+  };
+  return build(JSON.parse(json)).fixDistances();
+}
+
+/**
+ * Pushes the current data onto the edit history, unless it's unchanged.
+ * Anything that could have been redone is discarded.
+ * @private
+ */
+function recordHistory() {
+  let history = this.history;
+  if (!history || history.restoring || !this.historyLimit) return;
+  let state = snapshot(this.data);
+  if (state === history.snapshots[history.index]) return;
+  history.snapshots.splice(history.index + 1, Infinity, state);
+  if (history.snapshots.length > this.historyLimit) history.snapshots.shift();
+  history.index = history.snapshots.length - 1;
+  historyChanged.call(this);
+}
+
+/**
+ * Tells the `historychange` listeners what can be undone and redone.
+ * @private
+ */
+function historyChanged() {
+  this.trigger("historychange", {
+    canUndo: this.canUndo(),
+    canRedo: this.canRedo(),
+    index: this.history.index,
+    length: this.history.snapshots.length
+  });
+}
+
+/**
+ * Replaces the data with the snapshot at a position in the edit history.
+ * @private
+ */
+function travel(index) {
+  let history = this.history;
+  history.index = index;
+  history.restoring = true;
+  try {
+    this.setData(restore(history.snapshots[index]));
+  } finally {
+    history.restoring = false;
+  }
+  historyChanged.call(this);
   return this;
+}
+
+/**
+ * Whether there's an edit to undo. Every change to the tree's data made
+ * through `setData` (or `setTree`), like rerooting or pruning, is an edit.
+ * @return {Boolean} Whether `undo` will do anything
+ */
+TidyTree.prototype.canUndo = function () {
+  return !!this.history && this.history.index > 0;
+};
+
+/**
+ * Whether there's an undone edit to redo
+ * @return {Boolean} Whether `redo` will do anything
+ */
+TidyTree.prototype.canRedo = function () {
+  return !!this.history && this.history.index < this.history.snapshots.length - 1;
+};
+
+/**
+ * Reverts the tree to how it was before the last edit
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.undo = function () {
+  if (!this.canUndo()) return this;
+  return travel.call(this, this.history.index - 1);
+};
+
+/**
+ * Reapplies the last edit to have been undone
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.redo = function () {
+  if (!this.canRedo()) return this;
+  return travel.call(this, this.history.index + 1);
+};
+
+/**
+ * The options that make up a view's state (see `getState`), besides the zoom,
+ * collapsed clades, selection and mappings. Those in `setterState` are
+ * applied with their setters, which don't need to redraw the tree.
+ * @private
+ */
+const redrawnState = [
+    "layout", "type", "mode", "hStretch", "vStretch", "margin",
+    "alignTipLabels", "daylight", "support", "supportAttribute",
+    "supportThreshold", "collapseUnsupported", "mostRecentTip"
+  ],
+  setterState = [
+    "rotation", "leafNodes", "leafLabels", "thinLabels", "branchNodes",
+    "branchLabels", "branchDistances", "ruler", "grid", "scaleBar", "legend",
+    "semanticZoom", "theme"
+  ];
+
+/**
+ * Returns a reference to a node that holds from one session to the next,
+ * unlike its _guid: a leaf's id, or the ids of the first and last leaves of
+ * an internal node's clade (whose most recent common ancestor it is)
+ * @private
+ */
+function nodeReference(d) {
+  if (!d.children) return d.data.id;
+  let leaves = d.leaves();
+  return [leaves[0].data.id, leaves[leaves.length - 1].data.id];
+}
+
+/**
+ * Finds the _guids of the nodes that references (see nodeReference) refer to,
+ * skipping any that aren't in the tree
+ * @private
+ */
+function resolveReferences(references) {
+  let leaves = new Map(
+    d3.hierarchy(this.data, b => b.children).leaves().map(d => [d.data.id, d])
+  );
+  return (references || [])
+    .map(reference => {
+      if (!Array.isArray(reference)) return leaves.get(reference);
+      let [first, last] = reference.map(id => leaves.get(id));
+      if (!first || !last) return undefined;
+      let ancestors = new Set(first.ancestors());
+      return last.ancestors().find(d => ancestors.has(d));
+    })
+    .filter(d => d)
+    .map(d => d.data._guid);
+}
+
+/**
+ * Returns everything that affects how the tree is viewed, as a plain object
+ * that survives being written out as JSON (e.g. in a URL or a file): the
+ * layout, type and mode, stretch and rotation, which labels and nodes are
+ * shown, the zoom transform, collapsed clades, the selection and the color,
+ * size and shape mappings. Nodes are referred to by leaf ids, so the state
+ * can be restored onto the same tree in another session. (Mapping options
+ * that are functions, like custom scales, are left out, except for d3's own
+ * color interpolators.)
+ * @return {Object} The state, for `setState`
+ */
+TidyTree.prototype.getState = function () {
+  let state = {};
+  redrawnState.concat(setterState).forEach(key => (state[key] = this[key]));
+  if (state.mostRecentTip instanceof Date) {
+    state.mostRecentTip = state.mostRecentTip.toISOString().slice(0, 10);
+  }
+  let transform = this.transform || d3.zoomIdentity;
+  state.transform = { x: transform.x, y: transform.y, k: transform.k };
+  let nodes = this.data ? d3.hierarchy(this.data, b => b.children).descendants() : [];
+  state.collapsed = nodes.filter(d => this.collapsed.has(d.data._guid)).map(nodeReference);
+  state.selection = nodes.filter(d => this.selection.has(d.data._guid)).map(nodeReference);
+  state.mappings = {};
+  Object.keys(this.mappings).forEach(channel => {
+    let options = {};
+    Object.entries(this.mappings[channel].options).forEach(([key, value]) => {
+      if (key === "interpolator") {
+        let name = Object.keys(d3).find(name => d3[name] === value);
+        if (name) options.interpolator = name;
+      } else if (typeof value !== "function" && ![].concat(value).some(v => typeof v === "function")) {
+        options[key] = value;
+      }
+    });
+    state.mappings[channel] = { attribute: this.mappings[channel].attribute, options: options };
+  });
+  return state;
+};
+
+/**
+ * Restores a view from `getState`. Anything the state leaves out is left as
+ * it is, and nodes it refers to that aren't in the tree are skipped.
+ * @param  {(Object|String)} state The state, or the JSON of it
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setState = function (state) {
+  if (typeof state === "string") state = JSON.parse(state);
+  [["layout", "validLayouts"], ["type", "validTypes"], ["mode", "validModes"]].forEach(([key, valid]) => {
+    if (key in state && !TidyTree[valid].includes(state[key])) {
+      throw Error(`
+      Cannot set TidyTree to ${key}: ${state[key]},\n
+      Valid ${key}s are: ${TidyTree[valid].join(', ')}
+    `);
+    }
+  });
+  let previous = layoutState.call(this);
+  redrawnState.forEach(key => {
+    if (key in state) this[key] = state[key];
+  });
+  if (state.mappings) {
+    ["color", "size", "shape"].forEach(channel => {
+      let mapping = state.mappings[channel];
+      if (!mapping && !this.mappings[channel]) return;
+      let options = mapping && Object.assign({}, mapping.options);
+      if (options && typeof options.interpolator === "string") options.interpolator = d3[options.interpolator];
+      mapBy.call(this, channel, mapping ? mapping.attribute : null, options);
+    });
+  }
+  if (state.collapsed && this.data) {
+    this.collapsed = new Set(resolveReferences.call(this, state.collapsed));
+  }
+  if (this.data) rebuild.call(this);
+  setterState.forEach(key => {
+    if (key in state) this["set" + key[0].toUpperCase() + key.slice(1)](state[key]);
+  });
+  if (state.selection && this.data) this.select(resolveReferences.call(this, state.selection));
+  if (state.transform) {
+    let { x, y, k } = state.transform,
+      transform = d3.zoomIdentity.translate(x, y).scale(k);
+    if (this.parent) {
+      this.parent
+        .select(this.renderer === "canvas" ? "canvas" : "svg")
+        .call(this.zoom.transform, transform);
+    } else {
+      this.transform = transform;
+    }
+  }
+  return layoutChanged.call(this, previous);
 };
 
 /**
@@ -77,25 +391,458 @@ TidyTree.prototype.setData = function (data) {
  * There are two contexts in which you should call this:
  * 	1. You wish to replace the tree with a completely different tree, given by a different newick string
  * 	2. Your underlying tree data has changed (e.g. the tree has been re-rooted)
- * @param  {String} newick A valid newick string
+ * Besides plain Newick, this accepts Newick with `[&key=value]` annotations
+ * (as written by BEAST, MrBayes and IQ-TREE), NEXUS, PhyloXML and NeXML.
+ * Annotations become attributes of their nodes, so they can be used with
+ * `colorBy` and friends just like metadata. Reading XML requires DOMParser.
+ * @param  {String} newick A valid newick string, or the contents of a NEXUS,
+ * PhyloXML or NeXML file
+ * @param  {Object} [options] Options
+ * @param  {(Number|String)} [options.tree=0] For files with more than one
+ * tree, the index or name of the tree to show
  * @return {Object}        the TidyTree object
  */
-TidyTree.prototype.setTree = function (newick) {
+TidyTree.prototype.setTree = function (newick, options) {
   if (!newick) throw Error("Invalid Newick String");
+  let which = options && options.tree !== undefined ? options.tree : 0;
+  if (/^\s*#nexus/i.test(newick)) {
+    let trees = parseNexus(newick);
+    let entry = typeof which === "number" ? trees[which] : trees.find(t => t.name === which);
+    if (!entry) throw Error(`Cannot find tree ${which} in NEXUS file`);
+    return this.setData(entry.tree);
+  }
+  if (/^\s*</.test(newick)) {
+    if (/<(\w+:)?nexml[\s>]/.test(newick)) return this.setData(parseNeXML(newick, which));
+    if (/<phyloxml[\s>]/.test(newick)) return this.setData(parsePhyloXML(newick, which));
+    throw Error("Cannot read XML tree: expected PhyloXML or NeXML");
+  }
+  if (newick.includes("[")) return this.setData(parseNewick(newick));
   return this.setData(patristic.parseNewick(newick));
 };
 
+//Matches a date at the end of a leaf name, e.g. "A/2019-03-04" or "B|2019.17"
+const tipDatePattern = /[|_/\s@](\d{4}(?:-\d{2}(?:-\d{2})?)?|\d{4}\.\d+)$/;
+
+/**
+ * Converts a Date, an ISO date string ("2019-03-04", "2019-03" or "2019") or
+ * a decimal year (2019.17) into a decimal year.
+ * @private
+ */
+function toDecimalYear(date) {
+  if (date instanceof Date) {
+    let year = date.getUTCFullYear(),
+      start = Date.UTC(year, 0, 1),
+      end = Date.UTC(year + 1, 0, 1);
+    return year + (date - start) / (end - start);
+  }
+  let match = String(date).trim().match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (match) {
+    return toDecimalYear(new Date(Date.UTC(+match[1], match[2] ? match[2] - 1 : 0, match[3] ? +match[3] : 1)));
+  }
+  return +date;
+}
+
+/**
+ * Converts a decimal year into a Date.
+ * @private
+ */
+function fromDecimalYear(value) {
+  let year = Math.floor(value),
+    start = Date.UTC(year, 0, 1),
+    end = Date.UTC(year + 1, 0, 1);
+  return new Date(start + (value - year) * (end - start));
+}
+
+/**
+ * Dates every node of the hierarchy, assuming branch lengths are in years.
+ * The dates are anchored on `mostRecentTip` if it's set, and otherwise on the
+ * dates found in leaf names (taking the median of the implied root dates).
+ * If neither is available, nodes are left undated.
+ * @private
+ */
+function updateDates() {
+  let latest = this.mostRecentTip === null || this.mostRecentTip === undefined ?
+    NaN :
+    toDecimalYear(this.mostRecentTip);
+  let origin = null;
+  if (!isNaN(latest)) {
+    origin = latest - this.range[1];
+  } else {
+    let pattern = this.tipDatePattern || tipDatePattern;
+    let estimates = this.hierarchy
+      .leaves()
+      .map(d => {
+        let match = String(d.data.id).match(pattern);
+        return match ? toDecimalYear(match[1] || match[0]) - d.value * this.range[1] : NaN;
+      })
+      .filter(estimate => !isNaN(estimate));
+    if (estimates.length) origin = d3.median(estimates);
+  }
+  this.rootDate = origin === null ? null : fromDecimalYear(origin);
+  this.hierarchy.each(d => {
+    d.date = origin === null ? undefined : fromDecimalYear(origin + d.value * this.range[1]);
+  });
+}
+
+/**
+ * Splits text on a separator, except where the separator is quoted or nested
+ * inside brackets or braces.
+ * @private
+ */
+function splitTopLevel(text, separator) {
+  let parts = [], depth = 0, quote = null, start = 0;
+  for (let i = 0; i < text.length; i++) {
+    let c = text[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === "[" || c === "{") {
+      depth++;
+    } else if (c === "]" || c === "}") {
+      depth--;
+    } else if (c === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.filter(part => part.trim() !== "");
+}
+
+/**
+ * Parses the value of an annotation: a number, a string or a `{...}` list.
+ * @private
+ */
+function parseAnnotationValue(value) {
+  value = value.trim();
+  if (value[0] === "{") return splitTopLevel(value.slice(1, -1), ",").map(parseAnnotationValue);
+  if (value[0] === '"' || value[0] === "'") return value.slice(1, -1);
+  return value !== "" && !isNaN(+value) ? +value : value;
+}
+
+/**
+ * Parses the contents of an annotation comment (e.g.
+ * `&height=1.5,height_95%_HPD={1.2,1.9},posterior=1`, or NHX's
+ * `&&NHX:S=human:D=N`) into an object.
+ * @private
+ */
+function parseAnnotations(comment) {
+  let annotations = {};
+  let pairs = /^&&NHX/i.test(comment) ?
+    comment.split(":").slice(1) :
+    splitTopLevel(comment.replace(/^&+/, ""), ",");
+  pairs.forEach(pair => {
+    let i = pair.indexOf("=");
+    if (i < 0) {
+      annotations[pair.trim()] = true;
+    } else {
+      annotations[pair.slice(0, i).trim()] = parseAnnotationValue(pair.slice(i + 1));
+    }
+  });
+  return annotations;
+}
+
+/**
+ * Splits a Newick string into tokens: punctuation, labels (which may be
+ * quoted) and bracketed comments. Comments which don't start with `&` aren't
+ * annotations, so they're dropped.
+ * @private
+ */
+function tokenizeNewick(newick) {
+  let tokens = [], i = 0, n = newick.length;
+  while (i < n) {
+    let c = newick[i];
+    if ("(),:;".includes(c)) {
+      tokens.push({ type: c });
+      i++;
+    } else if (c === "[") {
+      let end = newick.indexOf("]", i);
+      if (end < 0) end = n;
+      let comment = newick.slice(i + 1, end);
+      if (comment[0] === "&") tokens.push({ type: "comment", value: comment });
+      i = end + 1;
+    } else if (c === "'") {
+      let value = "";
+      i++;
+      while (i < n) {
+        if (newick[i] === "'" && newick[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (newick[i] === "'") {
+          break;
+        } else {
+          value += newick[i++];
+        }
+      }
+      tokens.push({ type: "label", value: value });
+      i++;
+    } else if (/\s/.test(c)) {
+      i++;
+    } else {
+      let start = i;
+      while (i < n && !/[\s(),:;\[']/.test(newick[i])) i++;
+      tokens.push({ type: "label", value: newick.slice(start, i) });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses a Newick string which may contain quoted labels and `[&...]`
+ * annotations, and returns the root Branch. Annotations are stored as
+ * `annotations` on their Branch. Labels found in `translation` are replaced
+ * by their translations.
+ * @private
+ */
+function parseNewick(newick, translation) {
+  let ancestors = [],
+    tree = new patristic.Branch(),
+    previous = null;
+  tokenizeNewick(newick).some(token => {
+    let c;
+    switch (token.type) {
+      case "(":
+        c = tree.addChild();
+        ancestors.push(tree);
+        tree = c;
+        break;
+      case ",":
+        tree = ancestors[ancestors.length - 1].addChild();
+        break;
+      case ")":
+        tree = ancestors.pop();
+        break;
+      case ";":
+        return true;
+      case "comment":
+        tree.annotations = Object.assign(tree.annotations || {}, parseAnnotations(token.value));
+        break;
+      case "label":
+        if (previous === ":") {
+          tree.length = parseFloat(token.value);
+        } else {
+          tree.id = translation && translation.has(token.value) ?
+            translation.get(token.value) :
+            token.value;
+        }
+    }
+    if (token.type !== "comment") previous = token.type;
+  });
+  return tree.fixDistances();
+}
+
+/**
+ * Parses the TREES blocks of a NEXUS file, applying any TRANSLATE tables.
+ * @private
+ */
+function parseNexus(nexus) {
+  let trees = [],
+    begin = /(?:^|;)\s*begin\s+trees\s*;/gim,
+    found = false;
+  while (begin.exec(nexus)) {
+    found = true;
+    let translation = new Map();
+    //Split the statements up first, so an "end;" inside a quoted label or a
+    //comment can't end the block early
+    splitTopLevel(nexus.slice(begin.lastIndex), ";").some(command => {
+      command = command.replace(/^\s*(\[[^\]]*\]\s*)*/, "").trim();
+      if (/^(end|endblock)$/i.test(command)) return true;
+      if (/^translate\s/i.test(command)) {
+        splitTopLevel(command.replace(/^translate\s+/i, ""), ",").forEach(pair => {
+          let [key, label] = tokenizeNewick(pair).map(token => token.value);
+          translation.set(key, label);
+        });
+      } else if (/^u?tree\s/i.test(command)) {
+        let match = command.match(/^u?tree\s+\*?\s*('(?:[^']|'')*'|[^\s=\[]+)(?:\s|\[[^\]]*\])*=([\s\S]*)$/i);
+        if (!match) throw Error(`Cannot parse NEXUS tree statement: ${command.slice(0, 50)}`);
+        //Drop rooting flags like [&R] and [&U] which precede the tree itself
+        let newick = match[2].replace(/^\s*(\[[^\]]*\]\s*)*/, "");
+        trees.push({
+          name: tokenizeNewick(match[1])[0].value,
+          tree: parseNewick(newick + ";", translation)
+        });
+      }
+      return false;
+    });
+  }
+  if (!found) throw Error("Cannot find a TREES block in NEXUS file");
+  return trees;
+}
+
+/**
+ * Parses the trees in a NEXUS file (such as the output of BEAST or MrBayes)
+ * without drawing them, e.g. to find out which trees a file contains.
+ * @param  {String} nexus The contents of a NEXUS file
+ * @return {Array} An array of `{name, tree}` objects, where `tree` is a
+ * patristic.Branch which can be passed to `setData` or the constructor
+ */
+TidyTree.parseNexus = parseNexus;
+
+/**
+ * Parses XML text into a Document. This relies on DOMParser, so in Node you
+ * need to provide one globally (e.g. from jsdom).
+ * @private
+ */
+function parseXML(xml) {
+  if (typeof DOMParser === "undefined") throw Error("Cannot parse XML without a DOMParser");
+  let doc = new DOMParser().parseFromString(xml, "application/xml");
+  let error = doc.getElementsByTagName("parsererror")[0];
+  if (error) throw Error(`Cannot parse XML: ${error.textContent}`);
+  return doc;
+}
+
+/**
+ * Returns the child elements of an element which have a given local name,
+ * whatever their namespace prefix.
+ * @private
+ */
+function childElements(element, name) {
+  return Array.from(element.childNodes).filter(c => c.nodeType === 1 && c.localName === name);
+}
+
+/**
+ * Converts the text of a PhyloXML property or NeXML meta into a value
+ * according to its XML Schema datatype.
+ * @private
+ */
+function typedValue(text, datatype) {
+  let type = (datatype || "").replace(/^xsd?:/, "");
+  if (["double", "float", "decimal", "int", "integer", "long", "short"].includes(type)) return +text;
+  if (type === "boolean") return text === "true";
+  return text[0] === "{" ? parseAnnotationValue(text) : text;
+}
+
+/**
+ * Returns the XML Schema datatype and text for an attribute value. Lists are
+ * written the way they appear in Newick annotations, e.g. `{0.2,0.45}`.
+ * @private
+ */
+function typedText(value) {
+  if (typeof value === "number") return ["xsd:double", String(value)];
+  if (typeof value === "boolean") return ["xsd:boolean", String(value)];
+  if (Array.isArray(value)) return ["xsd:string", `{${value.join(",")}}`];
+  return ["xsd:string", String(value)];
+}
+
+//PhyloXML elements to and from which we map node attributes
+const confidenceTypes = ["confidence", "bootstrap", "posterior", "probability", "support"],
+  taxonomyFields = ["scientific_name", "common_name", "rank", "code"];
+
+/**
+ * Converts a PhyloXML clade element (and its descendants) into a Branch.
+ * @private
+ */
+function parseClade(clade) {
+  let branch = new patristic.Branch(),
+    annotations = {};
+  let text = (element, name) => {
+    let child = childElements(element, name)[0];
+    return child ? child.textContent.trim() : undefined;
+  };
+  childElements(clade, "confidence").forEach(confidence => {
+    annotations[confidence.getAttribute("type") || "confidence"] = +confidence.textContent;
+  });
+  childElements(clade, "color").forEach(color => {
+    annotations.color = d3.rgb(+text(color, "red"), +text(color, "green"), +text(color, "blue")).hex();
+  });
+  childElements(clade, "taxonomy").forEach(taxonomy => {
+    taxonomyFields.forEach(field => {
+      let value = text(taxonomy, field);
+      if (value !== undefined) annotations[field] = value;
+    });
+  });
+  childElements(clade, "property").forEach(property => {
+    annotations[property.getAttribute("ref").replace(/^tidytree:/, "")] =
+      typedValue(property.textContent.trim(), property.getAttribute("datatype"));
+  });
+  branch.id = text(clade, "name") || annotations.scientific_name || "";
+  branch.length = +(clade.getAttribute("branch_length") || text(clade, "branch_length") || 0);
+  if (Object.keys(annotations).length) branch.annotations = annotations;
+  childElements(clade, "clade").forEach(child => branch.addChild(parseClade(child)));
+  return branch;
+}
+
+/**
+ * Parses a PhyloXML document and returns the root Branch of one of its
+ * phylogenies, chosen by index or name.
+ * @private
+ */
+function parsePhyloXML(xml, which) {
+  let phylogenies = childElements(parseXML(xml).documentElement, "phylogeny");
+  let phylogeny = typeof which === "number" ?
+    phylogenies[which] :
+    phylogenies.find(p => childElements(p, "name").some(name => name.textContent.trim() === which));
+  if (!phylogeny) throw Error(`Cannot find phylogeny ${which} in PhyloXML`);
+  let clade = childElements(phylogeny, "clade")[0];
+  if (!clade) throw Error("Cannot find a clade in PhyloXML phylogeny");
+  return parseClade(clade).fixDistances();
+}
+
+/**
+ * Parses a NeXML document and returns the root Branch of one of its trees,
+ * chosen by index, id or label. Literal metadata on nodes become attributes.
+ * @private
+ */
+function parseNeXML(xml, which) {
+  let root = parseXML(xml).documentElement,
+    labels = new Map();
+  childElements(root, "otus").forEach(otus => {
+    childElements(otus, "otu").forEach(otu => {
+      labels.set(otu.getAttribute("id"), otu.getAttribute("label") || otu.getAttribute("id"));
+    });
+  });
+  let trees = [].concat(...childElements(root, "trees").map(t => childElements(t, "tree")));
+  let tree = typeof which === "number" ?
+    trees[which] :
+    trees.find(t => t.getAttribute("id") === which || t.getAttribute("label") === which);
+  if (!tree) throw Error(`Cannot find tree ${which} in NeXML`);
+
+  let branches = new Map(),
+    targets = new Set(),
+    rootId = null;
+  childElements(tree, "node").forEach(node => {
+    let branch = new patristic.Branch(),
+      annotations = {};
+    branch.id = node.getAttribute("label") || labels.get(node.getAttribute("otu")) || "";
+    childElements(node, "meta").forEach(meta => {
+      let property = meta.getAttribute("property");
+      if (!property) return;
+      annotations[property.replace(/^[^:]*:/, "")] =
+        typedValue(meta.getAttribute("content") || "", meta.getAttribute("datatype"));
+    });
+    if (Object.keys(annotations).length) branch.annotations = annotations;
+    branches.set(node.getAttribute("id"), branch);
+    if (node.getAttribute("root") === "true") rootId = node.getAttribute("id");
+  });
+  childElements(tree, "edge").forEach(edge => {
+    let source = branches.get(edge.getAttribute("source")),
+      target = branches.get(edge.getAttribute("target"));
+    if (!source || !target) throw Error(`Cannot find the nodes of NeXML edge ${edge.getAttribute("id")}`);
+    target.length = +(edge.getAttribute("length") || 0);
+    source.addChild(target);
+    targets.add(edge.getAttribute("target"));
+  });
+  if (rootId === null) rootId = Array.from(branches.keys()).find(id => !targets.has(id));
+  let rootBranch = branches.get(rootId);
+  if (!rootBranch) throw Error("Cannot find the root of NeXML tree");
+  childElements(tree, "rootedge").forEach(edge => {
+    rootBranch.length = +(edge.getAttribute("length") || 0);
+  });
+  return rootBranch.fixDistances();
+}
+
 /**
  * The available layouts for rendering trees.
  * @type {Array}
  */
-TidyTree.validLayouts = ["horizontal", "vertical", "circular"];
+TidyTree.validLayouts = ["horizontal", "vertical", "circular", "unrooted"];
 
 /**
  * The available types for rendering branches.
  * @type {Array}
  */
-TidyTree.validTypes = ["tree", "weighted", "dendrogram"];
+TidyTree.validTypes = ["tree", "weighted", "dendrogram", "time"];
 
 /**
  * The available modes for rendering branches.
@@ -103,6 +850,36 @@ TidyTree.validTypes = ["tree", "weighted", "dendrogram"];
  */
 TidyTree.validModes = ["smooth", "square", "straight"];
 
+/**
+ * The available backends for rendering trees. "canvas" trades animations
+ * for the ability to render trees with tens of thousands of leaves.
+ * @type {Array}
+ */
+TidyTree.validRenderers = ["svg", "canvas"];
+
+/**
+ * The events to which listeners can be attached with `on`.
+ * @type {Array}
+ */
+TidyTree.validEvents = [
+  "draw",
+  "redraw",
+  "zoom",
+  "layoutchange",
+  "datachange",
+  "change",
+  "historychange",
+  "select",
+  "search",
+  "showtooltip",
+  "hidetooltip",
+  "contextmenu",
+  "linkover",
+  "linkout",
+  "linkclick",
+  "labelclick"
+];
+
 /**
  * Draws a Phylogenetic on the element referred to by selector
  * @param  {String} selector A CSS selector
@@ -114,64 +891,241 @@ TidyTree.prototype.draw = function (selector) {
   }
   let parent = (this.parent = d3.select(selector ? selector : this.parent));
 
-  this.width =
-    parseFloat(parent.style("width")) - this.margin[1] - this.margin[3];
-  this.height =
-    parseFloat(parent.style("height")) - this.margin[0] - this.margin[2] - 25;
+  let [width, height] = getSize.call(this),
+    margin = getMargin.call(this);
+  this.width = width - margin[1] - margin[3];
+  this.height = height - margin[0] - margin[2] - 25;
 
-  let tree = d3.tree();
+  renderers[this.renderer].draw.call(this, parent.html(null));
+  applyTheme.call(this);
 
-  let svg = parent
-    .html(null)
-    .append("svg")
-    .attr("width", "100%")
-    .attr("height", "100%");
+  this.trigger("draw");
 
-  let g = svg.append("g");
+  return this;
+};
 
-  svg
-    .append("g")
-    .attr("class", "tidytree-ruler")
-    .append("rect")
-    .attr("y", -5)
-    .attr("fill", "white");
+/**
+ * Returns the [width, height] of the drawing area, in pixels. Uses the `size`
+ * option if one was given, otherwise measures the parent element.
+ * @private
+ */
+function getSize() {
+  if (this.size) return this.size;
+  return [
+    parseFloat(this.parent.style("width")),
+    parseFloat(this.parent.style("height"))
+  ];
+}
 
-  this.zoom = d3.zoom().on("zoom", () => {
-    let transform = (this.transform = d3.event.transform);
-    g.attr(
-      "transform",
-      `translate(${transform.x},${transform.y}) scale(${transform.k}) rotate(${
-        this.rotation
-      },${this.layout === "circular" ? 0 : this.width / 2},${
-        this.layout === "circular" ? 0 : this.height / 2
-      })`
-    );
-    updateRuler.call(this, transform);
-  });
-  svg.call(this.zoom);
+/**
+ * Returns the [top, right, bottom, left] margin: the `margin` option or, if
+ * that's "auto", the margin last fitted to the labels.
+ * @private
+ */
+function getMargin() {
+  if (this.margin !== "auto") return this.margin;
+  return this.fittedMargin || [30, 30, 30, 30];
+}
 
-  g.append("g").attr("class", "tidytree-links");
-  g.append("g").attr("class", "tidytree-nodes");
+let measuringContext;
 
-  if (this.events.draw.length) this.events.draw.forEach(c => c());
+/**
+ * Measures the width of a label in pixels. Where there's no canvas to measure
+ * with (as in headless renders), it's estimated from the number of characters.
+ * @private
+ */
+function textWidth(text, fontSize) {
+  if (measuringContext === undefined && !this.headless) {
+    let canvas = typeof document === "undefined" ? null : document.createElement("canvas");
+    measuringContext = canvas && canvas.getContext ? canvas.getContext("2d") : null;
+  }
+  if (!measuringContext || this.headless) return 0.6 * fontSize * String(text).length;
+  measuringContext.font = `${fontSize}px sans-serif`;
+  return measuringContext.measureText(text).width;
+}
 
-  return this;
-};
+/**
+ * Returns a margin just wide enough for the leaf labels (when they're shown)
+ * to fit on screen.
+ * @private
+ */
+function fitMargin() {
+  let margin = [30, 30, 30, 30];
+  if (!this.hierarchy || !this.leafLabels) return margin;
+  let label = this.parent ? selectRendered.call(this, "g.tidytree-node-leaf text").node() : null,
+    fontSize = label ? parseFloat(label.style.getPropertyValue("font-size")) || 12 : 12,
+    widest = 5 + d3.max(this.hierarchy.leaves(), d => textWidth.call(this, d.data.id, fontSize));
+  //Don't let very long labels squeeze the tree out of the picture
+  widest = Math.min(widest, d3.min(getSize.call(this)) / 3);
+  if (baseLayout.call(this) === "horizontal") {
+    margin[1] += widest;
+  } else if (baseLayout.call(this) === "vertical") {
+    margin[2] += widest;
+  } else {
+    margin = margin.map(m => m + widest);
+  }
+  return margin;
+}
 
-const getX = d => d.x,
-  getY = d => d.y,
-  getLength = d => d.weight;
+/**
+ * Returns how far a node is from the root along the depth axis (or, in the
+ * unrooted layout, from the center), in layout coordinates
+ * @private
+ */
+function tipDepth(d) {
+  let [x, y] = nodePoint.call(this, d),
+    layout = baseLayout.call(this);
+  if (layout === "unrooted") return Math.hypot(x - this.width / 2, y - this.height / 2);
+  return layout === "horizontal" ? x : layout === "vertical" ? y : Math.hypot(x, y);
+}
 
-let linkTransformers = {
-  tree: {
-    smooth: {
-      horizontal: d3
-        .linkHorizontal()
-        .x(getY)
-        .y(getX),
-      vertical: d3
-        .linkVertical()
-        .x(getX)
+/**
+ * Returns the zoom scale that glyphs (node circles, labels and the like) are
+ * shrunk back down by with `semanticZoom`, so they stay the same size on
+ * screen: the zoom scale, or 1 if they grow and shrink with the tree
+ * @private
+ */
+function glyphZoom() {
+  return this.semanticZoom ? (this.transform || d3.zoomIdentity).k : 1;
+}
+
+/**
+ * Returns the transform that shrinks an SVG glyph back down with
+ * `semanticZoom`. (The canvas renderer scales Sprites as it paints them.)
+ * @private
+ */
+function glyphScale() {
+  return this.semanticZoom && this.renderer === "svg" ? ` scale(${1 / glyphZoom.call(this)})` : "";
+}
+
+/**
+ * Keeps glyphs the same size on screen after a zoom, with `semanticZoom` (or
+ * restores them when it's turned off)
+ * @private
+ */
+function scaleGlyphs() {
+  if (!this.parent) return;
+  if (this.alignTipLabels) {
+    selectRendered.call(this, "g.tidytree-node-leaf text")
+      .attr("x", d => labelPlacement.call(this, d).x);
+    selectRendered.call(this, "g.tidytree-node-leaf path.tidytree-leader")
+      .attr("d", d => labelPlacement.call(this, d).leader);
+  }
+  if (this.renderer !== "svg") return;
+  let g = this.parent.select("svg g"),
+    scale = glyphScale.call(this),
+    nodeTransformer = nodeTransformers[this.type][this.layout],
+    labelTransformer = labelTransformers[this.type][this.mode][this.layout];
+  g.selectAll("g.tidytree-node, g.tidytree-support").attr("transform", d => nodeTransformer(d) + scale);
+  g.selectAll("g.tidytree-link text").attr("transform", l => labelTransformer(l) + scale);
+  g.selectAll("g.tidytree-wedge text").attr("transform", d => wedge.call(this, d).labelTransform + scale);
+  g.selectAll("g.tidytree-link path, g.tidytree-wedge path")
+    .attr("vector-effect", this.semanticZoom ? "non-scaling-stroke" : null);
+}
+
+/**
+ * Returns where a node's label goes, relative to the node: its `transform`,
+ * `anchor` and `x` offset. With `alignTipLabels` (in rooted layouts), leaf
+ * labels are pushed out to line up past the farthest tip, and `leader` is the
+ * path of the dotted line leading out to them.
+ * @private
+ */
+function labelPlacement(d) {
+  let layout = baseLayout.call(this),
+    reach = this.alignTipLabels && layout !== "unrooted" && !d.children && !d._children ?
+      (this.tipExtent - tipDepth.call(this, d)) * glyphZoom.call(this) : 0,
+    sign = 1,
+    transform = layout === "vertical" ? "rotate(90)" : "rotate(0)";
+  if (layout === "circular") {
+    sign = d.x % (2 * Math.PI) > Math.PI ? -1 : 1;
+    transform = `rotate(${(((d.x / Math.PI) * 180) % 180) - 90})`;
+  } else if (layout === "unrooted") {
+    //Point labels out along their branches, keeping them the right way up
+    let angle = branchAngle(d);
+    sign = Math.cos(angle) < 0 ? -1 : 1;
+    transform = `rotate(${(angle + (sign < 0 ? Math.PI : 0)) * radToDeg})`;
+  }
+  return {
+    transform: transform,
+    anchor: sign < 0 ? "end" : "start",
+    x: sign * (5 + reach),
+    leader: reach > 1 ? `M${sign * 3},0H${sign * (reach + 3)}` : null
+  };
+}
+
+/**
+ * Hides leaf labels that would overlap their neighbors at the current zoom,
+ * walking the leaves in order and keeping each label only if there's room
+ * for it after the last one kept.
+ * @private
+ */
+function avoidCollisions(force) {
+  if (!this.parent) return;
+  //Labels only grow apart as you zoom in if they stay the same size
+  let k = glyphZoom.call(this);
+  if (!force && k === this.collisionScale) return;
+  this.collisionScale = k;
+
+  let labels = selectRendered.call(this, "g.tidytree-node-leaf text"),
+    sizes = new Map(),
+    hidden = new Set();
+  labels.each(function (d) {
+    sizes.set(d, parseFloat(this.style.getPropertyValue("font-size")) || 12);
+  });
+  if (this.thinLabels) {
+    let layout = baseLayout.call(this),
+      radial = layout === "circular" || layout === "unrooted",
+      breadth = d => layout === "unrooted" ?
+        Math.atan2(d.uy - this.height / 2, d.ux - this.width / 2) :
+        d.x,
+      last = null;
+    Array.from(sizes.keys())
+      .map(d => ({ d: d, breadth: breadth(d) }))
+      .sort((a, b) => a.breadth - b.breadth)
+      .forEach(leaf => {
+        //Radial layouts lay leaves out by angle, so their spacing grows with radius
+        let d = leaf.d,
+          radius = radial ?
+            5 + (this.alignTipLabels && layout === "circular" ? this.tipExtent : tipDepth.call(this, d)) :
+            1;
+        if (last) {
+          let gap = (leaf.breadth - last.breadth) * Math.min(radius, last.radius) * k;
+          if (gap < (sizes.get(d) + sizes.get(last.d)) / 2) return hidden.add(d);
+        }
+        last = { d: d, breadth: leaf.breadth, radius: radius };
+      });
+  }
+  labels.style("display", d => hidden.has(d) ? "none" : null);
+  selectRendered.call(this, "g.tidytree-node-leaf path.tidytree-leader")
+    .style("display", d => hidden.has(d) ? "none" : null);
+}
+
+/**
+ * Wraps a selection in a transition of the given duration. If the duration is
+ * zero (or the selection holds canvas Sprites, which can't be transitioned),
+ * the selection is returned as-is so that changes apply synchronously.
+ * @private
+ */
+function animate(selection, duration) {
+  if (!(duration > 0) || selection.node() instanceof Sprite) return selection;
+  return selection.transition().duration(duration);
+}
+
+const getX = d => d.x,
+  getY = d => d.y,
+  getLength = d => d.weight,
+  isBranch = d => !!(d.children || d._children);
+
+let linkTransformers = {
+  tree: {
+    smooth: {
+      horizontal: d3
+        .linkHorizontal()
+        .x(getY)
+        .y(getX),
+      vertical: d3
+        .linkVertical()
+        .x(getX)
         .y(getY),
       circular: d3
         .linkRadial()
@@ -330,6 +1284,7 @@ let linkTransformers = {
 };
 
 linkTransformers.dendrogram = linkTransformers.tree;
+linkTransformers.time = linkTransformers.weighted;
 
 function circularPoint(x, y) {
   return [(y = +y) * Math.cos((x -= Math.PI / 2)), y * Math.sin(x)];
@@ -349,6 +1304,7 @@ let nodeTransformers = {
 };
 
 nodeTransformers.dendrogram = nodeTransformers.tree;
+nodeTransformers.time = nodeTransformers.weighted;
 
 const radToDeg = 180 / Math.PI;
 
@@ -432,74 +1388,621 @@ let labelTransformers = {
 labelTransformers.tree.smooth = labelTransformers.tree.straight;
 labelTransformers.weighted.smooth = labelTransformers.weighted.straight;
 labelTransformers.dendrogram = labelTransformers.tree;
+labelTransformers.time = labelTransformers.weighted;
+
+//Unrooted layouts place every node directly (see layoutUnrooted), so all types
+//and modes draw them the same way: with straight links
+const unrootedLink = l =>
+    `M${l.source.ux} ${l.source.uy} L ${l.target.ux} ${l.target.uy}`,
+  unrootedLabel = l =>
+    `translate(${(l.source.ux + l.target.ux) / 2}, ${(l.source.uy +
+      l.target.uy) /
+      2}) rotate(${Math.atan(
+      (l.target.uy - l.source.uy) / (l.target.ux - l.source.ux)
+    ) * radToDeg})`;
+["tree", "weighted"].forEach(type => {
+  nodeTransformers[type].unrooted = d => `translate(${d.ux}, ${d.uy})`;
+  ["smooth", "straight", "square"].forEach(mode => {
+    linkTransformers[type][mode].unrooted = unrootedLink;
+    labelTransformers[type][mode].unrooted = unrootedLabel;
+  });
+});
+
+/**
+ * The layouts, types and modes added by `registerLayout`, `registerType` and
+ * `registerMode`, by name
+ * @private
+ */
+const registry = { layouts: {}, types: {}, modes: {} };
+
+const transformerTables = {
+  links: linkTransformers,
+  nodes: nodeTransformers,
+  labels: labelTransformers
+};
+
+/**
+ * Returns a layout, type or mode's name, followed by the names of those it
+ * extends, back to a built-in one. (Dendrograms draw like trees, and
+ * time-scaled trees like weighted ones.)
+ * @private
+ */
+function lineage(kind, name) {
+  let names = [name];
+  while (registry[kind][names[names.length - 1]]) {
+    names.push(registry[kind][names[names.length - 1]].extends);
+  }
+  let alias = kind === "types" && { dendrogram: "tree", time: "weighted" }[names[names.length - 1]];
+  if (alias) names.push(alias);
+  return names;
+}
+
+/**
+ * Returns the built-in layout, type or mode that a name is (or extends)
+ * @private
+ */
+function builtIn(kind, name) {
+  return lineage(kind, name).find(n => !registry[kind][n]);
+}
+
+/**
+ * Returns the built-in layout the TidyTree's layout is, or is based on. (A
+ * registered layout is sized, labeled and zoomed like the layout it extends.)
+ * @private
+ */
+function baseLayout() {
+  return builtIn("layouts", this.layout);
+}
+
+/**
+ * Returns the built-in type the TidyTree's type is, or is based on
+ * @private
+ */
+function baseType() {
+  return builtIn("types", this.type);
+}
+
+/**
+ * Picks a transformer out of a registered spec, which may be a function or an
+ * object keyed (at each level, optionally) by the names of the other things
+ * it's drawn with. Each level is a list of names to try, most specific first.
+ * @private
+ */
+function pickTransformer(spec, levels) {
+  for (let names of levels) {
+    if (!spec || typeof spec === "function") break;
+    let name = names.find(n => spec[n]);
+    if (name) spec = spec[name];
+  }
+  return typeof spec === "function" ? spec : null;
+}
+
+/**
+ * Looks up the transformer for a combination of type, (mode,) and layout:
+ * from its table if they're all built in, and otherwise from the specs of
+ * the registered ones, falling back on what they extend.
+ * @private
+ */
+function lookupTransformer(field, dims) {
+  let registered = dims.filter(([kind, name]) => registry[kind][name]);
+  if (!registered.length) {
+    return dims.reduce((table, [, name]) => table && table[name], transformerTables[field]);
+  }
+  for (let i = dims.length - 1; i >= 0; i--) {
+    let [kind, name] = dims[i],
+      spec = registry[kind][name];
+    if (!spec) continue;
+    let others = dims.filter((d, j) => j !== i).map(([k, n]) => lineage(k, n)),
+      transformer = pickTransformer(spec[field], others);
+    if (transformer) return transformer;
+  }
+  let [kind, name] = registered[registered.length - 1];
+  return lookupTransformer(
+    field,
+    dims.map(d => (d[1] === name ? [kind, registry[kind][name].extends] : d))
+  );
+}
+
+/**
+ * Returns `table[key]`, first copying it if it's shared with another key (as
+ * dendrograms share trees' transformers) so that it can be written to alone
+ * @private
+ */
+function ownEntry(table, key) {
+  let entry = table[key];
+  if (!entry) return (table[key] = {});
+  if (Object.keys(table).some(k => k !== key && table[k] === entry)) {
+    entry = table[key] = Object.assign({}, entry);
+    Object.keys(entry).forEach(k => {
+      if (typeof entry[k] === "object") entry[k] = Object.assign({}, entry[k]);
+    });
+  }
+  return entry;
+}
+
+/**
+ * Fills in the transformer tables for every combination involving a
+ * registered layout, type or mode
+ * @private
+ */
+function populateTransformers() {
+  let isRegistered = (kind, name) => !!registry[kind][name];
+  TidyTree.validTypes.forEach(type => {
+    TidyTree.validLayouts.forEach(layout => {
+      if (isRegistered("types", type) || isRegistered("layouts", layout)) {
+        ownEntry(nodeTransformers, type)[layout] =
+          lookupTransformer("nodes", [["types", type], ["layouts", layout]]);
+      }
+      TidyTree.validModes.forEach(mode => {
+        if (!isRegistered("types", type) && !isRegistered("modes", mode) && !isRegistered("layouts", layout)) return;
+        ["links", "labels"].forEach(field => {
+          let dims = [["types", type], ["modes", mode], ["layouts", layout]];
+          ownEntry(ownEntry(transformerTables[field], type), mode)[layout] =
+            lookupTransformer(field, dims);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Runs the `place` functions of the registered layout or type in use (and of
+ * any registered ones it extends), to position the nodes
+ * @private
+ */
+function placeRegistered(kind, root) {
+  lineage(kind, kind === "types" ? this.type : this.layout)
+    .reverse()
+    .forEach(name => {
+      let spec = registry[kind][name];
+      if (spec && spec.place) spec.place.call(this, root);
+    });
+}
+
+/**
+ * Adds a layout, type or mode to the registry and its list of valid names
+ * @private
+ */
+function register(kind, name, spec, defaultBase) {
+  let valid = { layouts: TidyTree.validLayouts, types: TidyTree.validTypes, modes: TidyTree.validModes }[kind],
+    noun = kind.slice(0, -1);
+  if (valid.includes(name)) {
+    throw Error(`Cannot register ${noun}: ${name}, a ${noun} by that name already exists`);
+  }
+  spec = Object.assign({ extends: defaultBase }, spec);
+  if (!valid.includes(spec.extends)) {
+    throw Error(`
+      Cannot register ${noun}: ${name}, extending ${noun}: ${spec.extends}\n
+      Valid ${kind} are: ${valid.join(', ')}
+    `);
+  }
+  registry[kind][name] = spec;
+  valid.push(name);
+  populateTransformers();
+}
+
+/**
+ * Adds a layout. Transformers return the `d` attribute of a link's path, or
+ * the `transform` attribute of a node or link label, and are given the node
+ * (with `x`, `y` and `weight` as the built-in layouts place them) or the link
+ * (with its `source` and `target` nodes). Anything the spec leaves out is
+ * drawn as in the layout it extends.
+ * @param  {String} name The layout's name, as passed to `setLayout`
+ * @param  {Object} spec The layout
+ * @param  {String} [spec.extends="horizontal"] The layout it's based on. It's
+ * sized, labeled, zoomed and given a ruler like this one.
+ * @param  {(Function|Object)} [spec.nodes] Places nodes: a transformer, or an
+ * object of transformers keyed by type
+ * @param  {(Function|Object)} [spec.links] Draws links: a transformer, or an
+ * object keyed by type and/or mode (e.g. `{ weighted: { square: l => ... } }`)
+ * @param  {(Function|Object)} [spec.labels] Places branch labels, keyed like
+ * `links`
+ * @param  {Function} [spec.place] Called (on the TidyTree, with the laid-out
+ * root) after the nodes are laid out, to reposition them
+ * @example
+ * TidyTree.registerLayout("slanted", {
+ *   links: {
+ *     tree: l => `M${l.source.y},${l.source.x}L${l.target.y},${l.target.x}`,
+ *     weighted: l => `M${l.source.weight},${l.source.x}L${l.target.weight},${l.target.x}`
+ *   }
+ * });
+ */
+TidyTree.registerLayout = function (name, spec) {
+  register("layouts", name, spec, "horizontal");
+};
+
+/**
+ * Adds a mode (a way of drawing links). Its spec is as for `registerLayout`,
+ * except that `links` and `labels` are keyed by type and/or layout.
+ * @param  {String} name The mode's name, as passed to `setMode`
+ * @param  {Object} spec The mode
+ * @param  {String} [spec.extends="straight"] The mode from which to take
+ * anything the spec leaves out
+ * @param  {(Function|Object)} [spec.links] Draws links
+ * @param  {(Function|Object)} [spec.labels] Places branch labels
+ * @example
+ * TidyTree.registerMode("swoop", {
+ *   links: {
+ *     horizontal: l => `M${l.source.y},${l.source.x}C${l.source.y},${l.target.x} ${l.source.y},${l.target.x} ${l.target.y},${l.target.x}`
+ *   }
+ * });
+ */
+TidyTree.registerMode = function (name, spec) {
+  register("modes", name, spec, "straight");
+};
+
+/**
+ * Adds a type (a way of measuring branches). Its spec is as for
+ * `registerLayout`, except that `nodes` is keyed by layout and `links` and
+ * `labels` by mode and/or layout.
+ * @param  {String} name The type's name, as passed to `setType`
+ * @param  {Object} spec The type
+ * @param  {String} [spec.extends="weighted"] The type it's based on. Its
+ * nodes are laid out (before `place`) and its ruler drawn like this one's.
+ * @param  {(Function|Object)} [spec.nodes] Places nodes
+ * @param  {(Function|Object)} [spec.links] Draws links
+ * @param  {(Function|Object)} [spec.labels] Places branch labels
+ * @param  {Function} [spec.place] Called (on the TidyTree, with the laid-out
+ * root) after the nodes are laid out, to reposition them
+ */
+TidyTree.registerType = function (name, spec) {
+  register("types", name, spec, "weighted");
+};
+
+//The ends of a link, which are all that's needed to draw it
+const linkEnds = l => ({
+  source: { x: l.source.x, y: l.source.y, weight: l.source.weight, ux: l.source.ux, uy: l.source.uy },
+  target: { x: l.target.x, y: l.target.y, weight: l.target.weight, ux: l.target.ux, uy: l.target.uy }
+});
 
 function labeler(d) {
   if (!d.target.data.length) return "0.000";
   return d.target.data.length.toFixed(3);
 }
 
+/**
+ * Computes the wedge that stands in for a collapsed clade. Its length reaches
+ * as deep as the clade's deepest leaf, its breadth grows with the clade's leaf
+ * count, and it's labeled with the clade's name and leaf count.
+ * @private
+ */
+function wedge(d) {
+  let length = ["weighted", "time"].includes(baseType.call(this)) ?
+    (d.maxValue - d.value) * this.scalar :
+    d.height * this.depthStep;
+  let breadth = 3 * Math.log2(1 + d.leafCount);
+  let layout = baseLayout.call(this);
+  let angle =
+    layout === "horizontal" ? 0 :
+    layout === "vertical" ? 90 :
+    layout === "unrooted" ? branchAngle(d) * radToDeg :
+    d.x * radToDeg - 90;
+  let flipped =
+    layout === "circular" ? d.x % (2 * Math.PI) > Math.PI :
+    layout === "unrooted" ? Math.cos(branchAngle(d)) < 0 :
+    false;
+  return {
+    transform: `${nodeTransformers[this.type][this.layout](d)} rotate(${angle})`,
+    path: `M0,0L${length},${-breadth}L${length},${breadth}Z`,
+    labelTransform: `translate(${length + 5}, 0)${flipped ? " rotate(180)" : ""}`,
+    labelAnchor: flipped ? "end" : "start",
+    label: `${d.data.id ? d.data.id + " " : ""}(${d.leafCount})`
+  };
+}
+
+/**
+ * Returns the direction (in radians) of the branch leading to a node in the
+ * unrooted layout
+ * @private
+ */
+function branchAngle(d) {
+  if (!d.parent) return 0;
+  return Math.atan2(d.uy - d.parent.uy, d.ux - d.parent.ux);
+}
+
+/**
+ * Lays the hierarchy out unrooted, with the equal-angle algorithm: each clade
+ * gets a wedge of directions in proportion to its leaf count, and each node
+ * is placed out from its parent along the middle of its wedge. With
+ * `daylight`, the layout is then spread out by equal-daylight passes, each of
+ * which turns the subtrees around every internal node so that the gaps
+ * between them are equal. (Each pass takes time proportional to the square
+ * of the number of nodes.) The positions are scaled to fit the drawing area
+ * and stored as `ux` and `uy`.
+ * @private
+ */
+function layoutUnrooted(root) {
+  let weighted = ["weighted", "time"].includes(baseType.call(this)),
+    length = d => (weighted ? d.value - d.parent.value : 1),
+    tau = 2 * Math.PI,
+    wrap = a => a - tau * Math.floor((a + Math.PI) / tau),
+    starts = new Map([[root, 0]]);
+  root.ux = root.uy = 0;
+  root.eachBefore(d => {
+    if (!d.children) return;
+    let angle = starts.get(d);
+    d.children.forEach(c => {
+      let span = (tau * c.leafCount) / root.leafCount,
+        middle = angle + span / 2;
+      c.ux = d.ux + length(c) * Math.cos(middle);
+      c.uy = d.uy + length(c) * Math.sin(middle);
+      starts.set(c, angle);
+      angle += span;
+    });
+  });
+
+  let passes = this.daylight === true ? 5 : +this.daylight || 0;
+  for (let pass = 0; pass < passes; pass++) {
+    let moved = 0;
+    root.eachBefore(v => {
+      if (!v.children || (!v.parent && v.children.length < 3)) return;
+      //The directions each subtree around v spans, as seen from v
+      let extent = (nodes, toward) => {
+        let base = Math.atan2(toward.uy - v.uy, toward.ux - v.ux),
+          lo = 0,
+          hi = 0;
+        nodes.forEach(d => {
+          let a = wrap(Math.atan2(d.uy - v.uy, d.ux - v.ux) - base);
+          if (a < lo) lo = a;
+          if (a > hi) hi = a;
+        });
+        return [base + lo, base + hi];
+      };
+      let subtrees = v.children.map(c => {
+        let nodes = c.descendants();
+        return { nodes: nodes, extent: extent(nodes, c) };
+      });
+      let fixed;
+      if (v.parent) {
+        let inside = new Set(v.descendants());
+        fixed = { extent: extent(root.descendants().filter(d => !inside.has(d)), v.parent) };
+      } else {
+        fixed = subtrees.shift();
+      }
+      let occupied = d3.sum(subtrees.concat(fixed), s => s.extent[1] - s.extent[0]),
+        daylight = (tau - occupied) / (subtrees.length + 1);
+      if (daylight <= 0) return;
+      //Going around from the fixed subtree, space the others out evenly
+      let start = fixed.extent[1],
+        cursor = start + daylight;
+      subtrees
+        .map(s => Object.assign(s, { offset: ((s.extent[0] - start) % tau + tau) % tau }))
+        .sort((a, b) => a.offset - b.offset)
+        .forEach(s => {
+          let turn = cursor - (start + s.offset),
+            cos = Math.cos(turn),
+            sin = Math.sin(turn);
+          s.nodes.forEach(d => {
+            let x = d.ux - v.ux,
+              y = d.uy - v.uy;
+            d.ux = v.ux + x * cos - y * sin;
+            d.uy = v.uy + x * sin + y * cos;
+          });
+          moved += Math.abs(wrap(turn));
+          cursor += s.extent[1] - s.extent[0] + daylight;
+        });
+    });
+    if (moved < 1e-3) break;
+  }
+
+  //Scale the layout to fit, and center it
+  let nodes = root.descendants(),
+    [x0, x1] = d3.extent(nodes, d => d.ux),
+    [y0, y1] = d3.extent(nodes, d => d.uy),
+    scale = Math.min(this.width / (x1 - x0 || 1), this.height / (y1 - y0 || 1));
+  nodes.forEach(d => {
+    d.ux = this.width / 2 + (d.ux - (x0 + x1) / 2) * scale;
+    d.uy = this.height / 2 + (d.uy - (y0 + y1) / 2) * scale;
+  });
+  //Collapsed clades' wedges are measured with these
+  if (weighted) this.scalar = scale;
+  else this.depthStep = scale;
+}
+
 /**
  * Redraws the links and relocates the nodes accordingly
  * @return {TidyTree} The TidyTree Object
  */
 TidyTree.prototype.redraw = function () {
-  let parent = this.parent;
+  if (this.margin === "auto") this.fittedMargin = fitMargin.call(this);
+  let [width, height] = getSize.call(this),
+    margin = getMargin.call(this),
+    layout = baseLayout.call(this);
 
-  this.width  = (parseFloat(parent.style("width" )) - this.margin[1] - this.margin[3]     ) * this.hStretch;
-  this.height = (parseFloat(parent.style("height")) - this.margin[0] - this.margin[2] - 25) * this.vStretch;
+  this.width  = (width  - margin[1] - margin[3]     ) * this.hStretch;
+  this.height = (height - margin[0] - margin[2] - 25) * this.vStretch;
 
   this.scalar =
-    this.layout === "horizontal" ? this.width :
-    this.layout === "vertical" ? this.height :
+    layout === "horizontal" ? this.width :
+    layout === "vertical" ? this.height :
     Math.min(this.width, this.height) / 2;
 
   this.hierarchy.each(d => (d.weight = this.scalar * d.value));
 
-  let g = parent.select("svg g");
-
-  let source = (this.type === "tree" ? d3.tree() : d3.cluster()).size(
-    this.layout === "circular"   ? [2 * Math.PI, Math.min(this.height, this.width) / 2] :
-    this.layout === "horizontal" ? [this.height, this.width] :
+  let source = (baseType.call(this) === "tree" ? d3.tree() : d3.cluster()).size(
+    layout === "circular"   ? [2 * Math.PI, Math.min(this.height, this.width) / 2] :
+    layout === "horizontal" ? [this.height, this.width] :
     [this.width, this.height]
   );
 
-  if (this.layout === "circular")
+  if (layout === "circular")
     source.separation((a, b) => (a.parent == b.parent ? 1 : 2) / a.depth);
 
-  //Note: You must render links prior to nodes in order to get correct placement!
+  //Note: You must compute links prior to placing nodes in order to get correct placement!
+  let root = source(this.hierarchy);
+
+  if (baseType.call(this) === "tree") {
+    //Leave room for collapsed clades to reach their full depth
+    let reach = d3.max(root.descendants(), d => d.depth + (d._children ? d.height : 0));
+    this.depthStep = this.scalar / (reach || 1);
+    root.each(d => (d.y = d.depth * this.depthStep));
+  } else {
+    this.depthStep = this.scalar / (d3.max(root.leaves(), d => d.depth) || 1);
+  }
+
+  placeRegistered.call(this, "types", root);
+  if (layout === "unrooted") layoutUnrooted.call(this, root);
+  placeRegistered.call(this, "layouts", root);
+
+  this.tipExtent = d3.max(root.leaves(), d => tipDepth.call(this, d));
+
+  renderers[this.renderer].redraw.call(this, root.links());
+
+  restyle.call(this);
+
+  avoidCollisions.call(this, true);
+
+  updateRuler.call(this);
+  updateLegend.call(this);
+
+  this.trigger("redraw", { hierarchy: this.hierarchy });
+
+  return this;
+};
+
+/**
+ * Builds the SVG scaffolding (and zoom behavior) into which redrawSVG renders
+ * @private
+ */
+function drawSVG(parent) {
+  let svg = parent
+    .append("svg")
+    .attr("width", "100%")
+    .attr("height", "100%");
+
+  let g = svg.append("g");
+
+  svg
+    .append("g")
+    .attr("class", "tidytree-ruler")
+    .append("rect")
+    .attr("class", "tidytree-background")
+    .attr("y", -5)
+    .attr("fill", "white");
+
+  svg.append("g").attr("class", "tidytree-legend");
+  svg.append("g").attr("class", "tidytree-scale-bar");
+
+  this.zoom = d3.zoom().on("zoom", () => {
+    let transform = (this.transform = d3.event.transform);
+    g.attr("transform", viewTransform.call(this, transform));
+    updateRuler.call(this, transform);
+    if (this.semanticZoom) scaleGlyphs.call(this);
+    avoidCollisions.call(this);
+    this.trigger("zoom", { transform: transform });
+  });
+  if (this.size) this.zoom.extent([[0, 0], this.size]);
+  //Headless renders have no one to interact with them
+  if (!this.headless) {
+    svg.call(this.zoom).on("click", () => {
+      if (!d3.event.shiftKey && this.selection.size) this.clearSelection();
+    });
+    attachBrush.call(this, svg, svg);
+  }
+
+  g.append("g").attr("class", "tidytree-grid");
+  g.append("g").attr("class", "tidytree-links");
+  g.append("g").attr("class", "tidytree-wedges");
+  g.append("g").attr("class", "tidytree-nodes");
+  g.append("g").attr("class", "tidytree-supports");
+}
+
+/**
+ * Joins the links and nodes to SVG elements
+ * @private
+ */
+function redrawSVG(layoutLinks) {
+  let g = this.parent.select("svg g"),
+    scale = glyphScale.call(this),
+    scaled = transformer => (scale ? d => transformer(d) + scale : transformer),
+    strokeEffect = this.semanticZoom ? "non-scaling-stroke" : null;
+
+  let linkEvents = paths => paths
+    .on("mouseenter", l => this.trigger("linkover", l))
+    .on("mouseout", l => this.trigger("linkout", l))
+    .on("click", l => {
+      d3.event.stopPropagation();
+      this.trigger("linkclick", l);
+    });
+
+  //Every node but the root has exactly one link leading to it, so keying links
+  //by their target lets them follow their nodes through edits like rerooting
   let links = g
     .select("g.tidytree-links")
     .selectAll("g.tidytree-link")
-    .data(source(this.hierarchy).links(), l => l.source.data._guid + ':' + l.target.data._guid);
+    .data(layoutLinks, l => l.target.data._guid);
+
+  //Links remember where they were drawn, and how, so they can morph from there
+  let shape = `${this.type} ${this.mode} ${this.layout}`;
+  let remember = function (l) {
+    this.__ends = linkEnds(l);
+    this.__shape = shape;
+  };
 
   links.join(
     enter => {
-      let newLinks = enter.append("g").attr("class", "tidytree-link");
+      let newLinks = enter
+        .append("g")
+        .attr("class", "tidytree-link")
+        .each(remember);
 
       let linkTransformer = linkTransformers[this.type][this.mode][this.layout];
-      newLinks
-        .append("path")
-        .attr("fill", "none")
-        .attr("stroke", "#ccc")
-        .attr("d", linkTransformer)
-        .transition()
-        .duration(this.animation)
-        .attr("opacity", 1);
+      animate(
+        newLinks
+          .append("path")
+          .attr("fill", "none")
+          .attr("stroke", "#ccc")
+          .attr("vector-effect", strokeEffect)
+          .attr("d", linkTransformer)
+          .call(linkEvents),
+        this.animation
+      ).attr("opacity", 1);
 
-      let labelTransformer = labelTransformers[this.type][this.mode][this.layout];
-      newLinks
-        .append("text")
-        .attr("y", 2)
-        .attr("text-anchor", "middle")
-        .style("font-size", "12px")
-        .text(labeler)
-        .attr("transform", labelTransformer)
-        .transition()
-        .duration(this.animation)
-        .style("opacity", this.branchDistances ? 1 : 0);
+      let labelTransformer = scaled(labelTransformers[this.type][this.mode][this.layout]);
+      animate(
+        newLinks
+          .append("text")
+          .attr("y", 2)
+          .attr("text-anchor", "middle")
+          .style("font-size", "12px")
+          .text(labeler)
+          .attr("transform", labelTransformer),
+        this.animation
+      ).style("opacity", this.branchDistances ? 1 : 0);
     },
     update => {
       let linkTransformer = linkTransformers[this.type][this.mode][this.layout];
+
+      //Links drawn the same way as before morph into place...
+      if (this.animation > 0) {
+        let duration = this.animation,
+          labelTransformer = scaled(labelTransformers[this.type][this.mode][this.layout]);
+        update
+          .filter(function () {
+            return this.__shape === shape;
+          })
+          .each((l, i, groups) => {
+            let link = d3.select(groups[i]),
+              interpolate = d3.interpolate(groups[i].__ends, linkEnds(l));
+            link
+              .select("path")
+              .transition()
+              .duration(duration)
+              .attr("opacity", 1)
+              .attrTween("d", () => t => linkTransformer(interpolate(t)));
+            link
+              .select("text")
+              .text(labeler)
+              .transition()
+              .duration(duration)
+              .attr("transform", labelTransformer);
+          });
+        update = update.filter(function () {
+          return this.__shape !== shape;
+        });
+      }
+
+      //...while the rest fade out and back in
       let paths = update.select("path");
       if (!this.animation > 0) {
         paths.attr("d", linkTransformer);
@@ -519,7 +2022,7 @@ TidyTree.prototype.redraw = function () {
       }
 
       let labelTransformer =
-        labelTransformers[this.type][this.mode][this.layout];
+        scaled(labelTransformers[this.type][this.mode][this.layout]);
       let labels = update.select("text");
       if (this.animation) {
         labels
@@ -541,580 +2044,4196 @@ TidyTree.prototype.redraw = function () {
       }
     },
     exit =>
-      exit
-        .transition()
-        .duration(this.animation)
+      animate(exit, this.animation)
+        .attr("opacity", 0)
+        .remove()
+  );
+  g.select("g.tidytree-links").selectAll("g.tidytree-link").each(remember);
+
+  let wedges = g
+    .select("g.tidytree-wedges")
+    .selectAll("g.tidytree-wedge")
+    .data(this.hierarchy.descendants().filter(d => d._children), d => d.data._guid);
+  wedges.join(
+    enter => {
+      let newWedges = enter
+        .append("g")
+        .attr("class", "tidytree-wedge")
+        .attr("transform", d => wedge.call(this, d).transform)
+        .on("click", d => this.expand(d));
+
+      newWedges
+        .append("path")
+        .attr("fill", "#ccc")
+        .attr("vector-effect", strokeEffect)
+        .attr("d", d => wedge.call(this, d).path);
+
+      newWedges
+        .append("text")
+        .attr("y", 4)
+        .style("font-size", "12px")
+        .attr("text-anchor", d => wedge.call(this, d).labelAnchor)
+        .attr("transform", d => wedge.call(this, d).labelTransform + scale)
+        .text(d => wedge.call(this, d).label);
+
+      animate(newWedges.attr("opacity", 0), this.animation).attr("opacity", 1);
+    },
+    update => {
+      animate(update, this.animation).attr("transform", d => wedge.call(this, d).transform);
+      animate(update.select("path"), this.animation).attr("d", d => wedge.call(this, d).path);
+      update
+        .select("text")
+        .attr("text-anchor", d => wedge.call(this, d).labelAnchor)
+        .attr("transform", d => wedge.call(this, d).labelTransform + scale)
+        .text(d => wedge.call(this, d).label);
+    },
+    exit =>
+      animate(exit, this.animation)
         .attr("opacity", 0)
         .remove()
   );
 
+  //Places the labels (and leader lines) of node groups relative to their nodes
+  let placeLabels = groups => {
+    let placements = new Map();
+    groups.each(d => placements.set(d, labelPlacement.call(this, d)));
+    animate(
+      groups.select("text").attr("text-anchor", d => placements.get(d).anchor),
+      this.animation
+    )
+      .attr("transform", d => placements.get(d).transform)
+      .attr("x", d => placements.get(d).x);
+    animate(groups.select("path.tidytree-leader"), this.animation)
+      .attr("transform", d => placements.get(d).transform)
+      .attr("d", d => placements.get(d).leader);
+  };
+
   let nodes = g
     .select("g.tidytree-nodes")
     .selectAll("g.tidytree-node")
     .data(this.hierarchy.descendants(), d => d.data._guid);
   nodes.join(
     enter => {
-      let nt = nodeTransformers[this.type][this.layout];
+      let nt = scaled(nodeTransformers[this.type][this.layout]);
       let newNodes = enter
         .append("g")
         .attr("class", "tidytree-node")
-        .classed("tidytree-node-internal", d => d.children)
-        .classed("tidytree-node-leaf", d => !d.children)
+        .classed("tidytree-node-internal", isBranch)
+        .classed("tidytree-node-leaf", d => !isBranch(d))
         .attr("transform", nt);
 
-      newNodes
-        .append("circle")
-        .attr("title", d => d.data.id)
+      let interact = glyphs => glyphs
         .style("opacity", d =>
-          (d.children && this.branchNodes) ||
-          (!d.children && this.leafNodes) ? 1 : 0
+          (isBranch(d) && this.branchNodes) ||
+          (!isBranch(d) && this.leafNodes) ? 1 : 0
         )
         .on("mouseenter focusin", d => this.trigger("showtooltip", d))
         .on("mouseout focusout", d => this.trigger("hidetooltip", d))
         .on("contextmenu", d => this.trigger("contextmenu", d))
-        .on("click", d => this.trigger("select", d))
+        .on("click", d => {
+          d3.event.stopPropagation();
+          clickSelect.call(this, d);
+        });
+
+      newNodes
+        .append("circle")
+        .attr("title", d => d.data.id)
+        .call(interact)
         .attr("r", 2.5);
 
-      let nodeLabels = newNodes
+      //Stands in for the circle when nodes are shaped by an attribute
+      newNodes
+        .append("path")
+        .attr("class", "tidytree-node-symbol")
+        .call(interact);
+
+      newNodes
+        .append("path")
+        .attr("class", "tidytree-leader")
+        .attr("fill", "none")
+        .attr("stroke", "#ccc")
+        .attr("stroke-dasharray", "2,2")
+        .style("opacity", d => !isBranch(d) && this.leafLabels ? 1 : 0);
+
+      newNodes
         .append("text")
         .text(d => d.data.id)
         .style("font-size", "12px")
         .attr("y", 2)
         .style("opacity", d =>
-          ( d.children && this.branchLabels) ||
-          (!d.children && this.leafLabels) ? 1 : 0
-        );
+          ( isBranch(d) && this.branchLabels) ||
+          (!isBranch(d) && this.leafLabels) ? 1 : 0
+        )
+        .on("click", (d, i, labels) => {
+          //Hidden labels are transparent, but still in the way of the pointer
+          if (!+d3.select(labels[i]).style("opacity")) return;
+          d3.event.stopPropagation();
+          this.trigger("labelclick", d);
+        });
 
-      if (this.layout === "vertical") {
-        nodeLabels
-          .attr("text-anchor", "start")
-          .attr("x", 5)
-          .transition()
-          .duration(this.animation)
-          .attr("transform", "rotate(90)");
-      } else if (this.layout === "horizontal") {
-        nodeLabels
-          .attr("text-anchor", "start")
-          .attr("x", 5)
-          .transition()
-          .duration(this.animation)
-          .attr("transform", "rotate(0)");
-      } else {
-        nodeLabels
-          .transition()
-          .duration(this.animation)
-          .attr("transform", l => `rotate(${(((l.x / Math.PI) * 180) % 180) - 90})`)
-          .attr("text-anchor", l => l.x % (2 * Math.PI) > Math.PI ? "end" : "start")
-          .attr("x", l => (l.x % (2 * Math.PI) > Math.PI ? -5 : 5));
-      }
+      placeLabels(newNodes);
 
-      newNodes
-        .transition()
-        .duration(this.animation)
-        .attr("opacity", 1);
+      animate(newNodes, this.animation).attr("opacity", 1);
     },
     update => {
-      let nodeTransformer = nodeTransformers[this.type][this.layout];
-      update
-        .transition()
-        .duration(this.animation)
-        .attr("transform", nodeTransformer);
-
-      let nodeLabels = update.select("text");
-      if (this.layout === "vertical") {
-        nodeLabels
-          .attr("text-anchor", "start")
-          .attr("x", 5)
-          .transition()
-          .duration(this.animation)
-          .attr("transform", "rotate(90)");
-      } else if (this.layout === "horizontal") {
-        nodeLabels
-          .attr("text-anchor", "start")
-          .attr("x", 5)
-          .transition()
-          .duration(this.animation)
-          .attr("transform", "rotate(0)");
-      } else {
-        nodeLabels
-          .transition()
-          .duration(this.animation)
-          .attr("transform", l => `rotate(${(((l.x / Math.PI) * 180) % 180) - 90})`)
-          .attr("text-anchor", l => l.x % (2 * Math.PI) > Math.PI ? "end" : "start")
-          .attr("x", l => (l.x % (2 * Math.PI) > Math.PI ? -5 : 5));
-      }
+      let nodeTransformer = scaled(nodeTransformers[this.type][this.layout]);
+      animate(update, this.animation).attr("transform", nodeTransformer);
+
+      //Propagate the new hierarchy nodes to the glyphs
+      update.select("circle");
+      update.select("path.tidytree-node-symbol");
+
+      placeLabels(update);
     },
     exit =>
-      exit
-        .transition()
-        .duration(this.animation)
+      animate(exit, this.animation)
         .attr("opacity", 0)
         .remove()
   );
 
-  updateRuler.call(this);
+  let supports = g
+    .select("g.tidytree-supports")
+    .selectAll("g.tidytree-support")
+    .data(
+      this.support ? this.hierarchy.descendants().filter(d => d.support !== undefined) : [],
+      d => d.data._guid
+    );
+  supports.join(
+    enter => {
+      let newSupports = enter
+        .append("g")
+        .attr("class", "tidytree-support")
+        .attr("transform", scaled(nodeTransformers[this.type][this.layout]));
+      newSupports
+        .append("circle")
+        .attr("r", 3)
+        .attr("stroke", "black");
+      newSupports
+        .append("text")
+        .attr("x", -4)
+        .attr("y", -4)
+        .attr("text-anchor", "end")
+        .style("font-size", "10px");
+      animate(newSupports.attr("opacity", 0), this.animation).attr("opacity", 1);
+    },
+    update => {
+      animate(update, this.animation).attr("transform", scaled(nodeTransformers[this.type][this.layout]));
+      update.select("circle");
+      update.select("text");
+    },
+    exit =>
+      animate(exit, this.animation)
+        .attr("opacity", 0)
+        .remove()
+  );
+}
+
+/**
+ * A lightweight stand-in for an SVG element, used by the canvas renderer. It
+ * implements just enough of the DOM API for d3 selections (and therefore the
+ * `each*` stylers) to read and write its attributes and styles. Any change
+ * schedules a repaint.
+ * @private
+ */
+function Sprite(tree, tagName, key) {
+  this.tree = tree;
+  this.tagName = tagName;
+  this.key = key;
+  this.attributes = {};
+  this.style = new SpriteStyle(this);
+  this.text = "";
+}
+
+Sprite.prototype.getAttribute = function (name) {
+  return name in this.attributes ? this.attributes[name] : null;
+};
+
+Sprite.prototype.setAttribute = function (name, value) {
+  this.attributes[name] = "" + value;
+  this.invalidate(name);
+};
+
+Sprite.prototype.removeAttribute = function (name) {
+  delete this.attributes[name];
+  this.invalidate(name);
+};
+
+Object.defineProperty(Sprite.prototype, "textContent", {
+  get() { return this.text; },
+  set(value) {
+    this.text = value;
+    this.invalidate("text");
+  }
+});
+
+Sprite.prototype.invalidate = function (name) {
+  if (name === "transform") this.transformCache = null;
+  if (name === "d") this.pathCache = null;
+  schedulePaint.call(this.tree);
+};
+
+/**
+ * Returns the effective value of a presentation attribute, preferring inline
+ * styles to attributes (as SVG does).
+ */
+Sprite.prototype.value = function (name) {
+  let style = this.style.getPropertyValue(name);
+  return style === "" ? this.getAttribute(name) : style;
+};
+
+Sprite.prototype.isVisible = function () {
+  let opacity = this.value("opacity");
+  if (opacity !== null && !parseFloat(opacity)) return false;
+  return this.value("display") !== "none";
+};
+
+/**
+ * Transforms a rendering context from the tree's coordinates to the Sprite's
+ */
+Sprite.prototype.place = function (ctx) {
+  if (!this.transformCache) this.transformCache = parseTransform(this.getAttribute("transform"));
+  applyTransform(ctx, this.group);
+  applyTransform(ctx, this.transformCache);
+  //With semanticZoom, glyphs keep their size on screen, and lines their width
+  let k = glyphZoom.call(this.tree);
+  if (this.glyph) ctx.scale(1 / k, 1 / k);
+};
+
+Sprite.prototype.paint = function (ctx) {
+  if (!this.isVisible()) return;
+  if (this.tagName === "path" && !this.getAttribute("d")) return;
+
+  ctx.save();
+  let opacity = this.value("opacity"),
+    k = glyphZoom.call(this.tree);
+  if (opacity !== null) ctx.globalAlpha = parseFloat(opacity);
+  this.place(ctx);
+
+  let fill = this.value("fill"),
+    stroke = this.value("stroke");
+  ctx.lineWidth = parseFloat(this.value("stroke-width") || 1) / (this.glyph ? 1 : k);
+  if (stroke && stroke !== "none") ctx.strokeStyle = stroke;
+  let dashes = this.value("stroke-dasharray");
+  if (dashes && dashes !== "none") ctx.setLineDash(dashes.split(/[\s,]+/).map(parseFloat));
+  if (this.tagName === "path") {
+    if (!this.pathCache) this.pathCache = new Path2D(this.getAttribute("d"));
+    if (fill !== "none") {
+      ctx.fillStyle = fill || "black";
+      ctx.fill(this.pathCache);
+    }
+    if (stroke && stroke !== "none") ctx.stroke(this.pathCache);
+  } else if (this.tagName === "circle") {
+    ctx.beginPath();
+    ctx.arc(
+      parseFloat(this.value("cx") || 0),
+      parseFloat(this.value("cy") || 0),
+      parseFloat(this.value("r") || 0),
+      0,
+      2 * Math.PI
+    );
+    if (fill !== "none") {
+      ctx.fillStyle = fill || "black";
+      ctx.fill();
+    }
+    if (stroke && stroke !== "none") ctx.stroke();
+  } else if (this.tagName === "text") {
+    let anchor = this.value("text-anchor");
+    ctx.font = `${this.value("font-size") || "12px"} ${this.value("font-family") || "sans-serif"}`;
+    ctx.textAlign = anchor === "middle" ? "center" : anchor === "end" ? "end" : "start";
+    ctx.fillStyle = fill && fill !== "none" ? fill : "black";
+    ctx.fillText(
+      this.text,
+      parseFloat(this.value("x") || 0),
+      parseFloat(this.value("y") || 0)
+    );
+  }
+  ctx.restore();
+};
+
+/**
+ * Whether a point on the canvas (in its pixels, not CSS pixels) falls on the
+ * Sprite, as painted to a context transformed by `applyView`. Paths are hit
+ * along their stroke, and text anywhere in its box.
+ */
+Sprite.prototype.contains = function (ctx, x, y) {
+  if (!this.isVisible()) return false;
+  ctx.save();
+  this.place(ctx);
+  let hit = false,
+    matrix = ctx.getTransform();
+  if (this.tagName === "path" && this.getAttribute("d")) {
+    if (!this.pathCache) this.pathCache = new Path2D(this.getAttribute("d"));
+    //Give thin lines a few pixels' leeway either side
+    ctx.lineWidth = (8 * this.tree.pixelRatio) / Math.hypot(matrix.a, matrix.b);
+    hit = ctx.isPointInStroke(this.pathCache, x, y);
+  } else if (this.tagName === "text") {
+    let point = matrix.inverse().transformPoint({ x: x, y: y }),
+      anchor = this.value("text-anchor"),
+      size = parseFloat(this.value("font-size")) || 12;
+    ctx.font = `${this.value("font-size") || "12px"} ${this.value("font-family") || "sans-serif"}`;
+    let width = ctx.measureText(this.text).width,
+      left = parseFloat(this.value("x") || 0) - (anchor === "middle" ? width / 2 : anchor === "end" ? width : 0),
+      baseline = parseFloat(this.value("y") || 0);
+    hit = point.x >= left && point.x <= left + width && point.y >= baseline - size && point.y <= baseline + size / 4;
+  }
+  ctx.restore();
+  return hit;
+};
+
+/**
+ * The `style` of a Sprite, supporting the CSSStyleDeclaration methods d3 uses.
+ * @private
+ */
+function SpriteStyle(sprite) {
+  this.sprite = sprite;
+  this.properties = {};
+}
+
+SpriteStyle.prototype.getPropertyValue = function (name) {
+  return name in this.properties ? this.properties[name] : "";
+};
+
+SpriteStyle.prototype.setProperty = function (name, value) {
+  this.properties[name] = "" + value;
+  this.sprite.invalidate(name);
+};
+
+SpriteStyle.prototype.removeProperty = function (name) {
+  delete this.properties[name];
+  this.sprite.invalidate(name);
+};
+
+/**
+ * Parses an SVG transform attribute into a list of [operation, ...arguments]
+ * @private
+ */
+function parseTransform(transform) {
+  let operations = [];
+  if (!transform) return operations;
+  let pattern = /(\w+)\s*\(([^)]*)\)/g, match;
+  while ((match = pattern.exec(transform))) {
+    operations.push([match[1]].concat(match[2].trim().split(/[\s,]+/).map(parseFloat)));
+  }
+  return operations;
+}
+
+/**
+ * Applies a parsed transform to a canvas rendering context
+ * @private
+ */
+function applyTransform(ctx, operations) {
+  if (!operations) return;
+  operations.forEach(([operation, a, b, c]) => {
+    if (operation === "translate") {
+      ctx.translate(a, b || 0);
+    } else if (operation === "scale") {
+      ctx.scale(a, b === undefined ? a : b);
+    } else if (operation === "rotate") {
+      if (b !== undefined) ctx.translate(b, c);
+      ctx.rotate(a / radToDeg);
+      if (b !== undefined) ctx.translate(-b, -c);
+    }
+  });
+}
+
+/**
+ * Builds the canvas (plus an SVG overlay for the ruler) into which
+ * redrawCanvas renders
+ * @private
+ */
+function drawCanvas(parent) {
+  let wrapper = parent
+    .append("div")
+    .style("position", "relative")
+    .style("width", "100%")
+    .style("height", "100%");
+
+  let canvas = wrapper
+    .append("canvas")
+    .style("position", "absolute")
+    .style("left", 0)
+    .style("top", 0);
+
+  let overlay = wrapper
+    .append("svg")
+    .attr("width", "100%")
+    .attr("height", "100%")
+    .style("position", "absolute")
+    .style("pointer-events", "none");
+
+  //With nothing to draw it among, the grid goes over the tree
+  overlay.append("g").attr("class", "tidytree-grid");
+
+  overlay
+    .append("g")
+    .attr("class", "tidytree-ruler")
+    .append("rect")
+    .attr("class", "tidytree-background")
+    .attr("y", -5)
+    .attr("fill", "white");
+
+  overlay.append("g").attr("class", "tidytree-legend");
+  overlay.append("g").attr("class", "tidytree-scale-bar");
+
+  this.sprites = {};
+  this.paintOrder = [];
+
+  this.zoom = d3.zoom().on("zoom", () => {
+    let transform = (this.transform = d3.event.transform);
+    paintCanvas.call(this);
+    updateRuler.call(this, transform);
+    if (this.semanticZoom) scaleGlyphs.call(this);
+    avoidCollisions.call(this);
+    this.trigger("zoom", { transform: transform });
+  });
+  if (this.size) this.zoom.extent([[0, 0], this.size]);
+  attachBrush.call(this, canvas, overlay);
+
+  let links = ["g.tidytree-link path"],
+    labels = ["g.tidytree-node-internal text", "g.tidytree-node-leaf text"];
+  let hovered = null,
+    hoveredLink = null;
+  canvas
+    .call(this.zoom)
+    .on("mousemove", () => {
+      let d = findCanvasNode.call(this);
+      if (d !== hovered) {
+        if (hovered) this.trigger("hidetooltip", hovered);
+        if (d) this.trigger("showtooltip", d);
+        hovered = d;
+      }
+      let l = d ? undefined : findCanvasSprite.call(this, links);
+      if (l !== hoveredLink) {
+        if (hoveredLink) this.trigger("linkout", hoveredLink);
+        if (l) this.trigger("linkover", l);
+        hoveredLink = l;
+      }
+    })
+    .on("mouseout", () => {
+      if (hovered) this.trigger("hidetooltip", hovered);
+      if (hoveredLink) this.trigger("linkout", hoveredLink);
+      hovered = hoveredLink = null;
+    })
+    .on("click", () => {
+      let d = findCanvasNode.call(this);
+      if (d && d._children) return this.expand(d);
+      if (d) return clickSelect.call(this, d);
+      let label = findCanvasSprite.call(this, labels);
+      if (label) return this.trigger("labelclick", label);
+      let link = findCanvasSprite.call(this, links);
+      if (link) return this.trigger("linkclick", link);
+      if (!d3.event.shiftKey && this.selection.size) this.clearSelection();
+    })
+    .on("contextmenu", () => {
+      let d = findCanvasNode.call(this);
+      if (d) this.trigger("contextmenu", d);
+    });
+}
+
+/**
+ * Lays out Sprites for the links and nodes and paints them to the canvas.
+ * Sprites are kept by `_guid` across redraws, so styles set by the `each*`
+ * methods persist.
+ * @private
+ */
+function redrawCanvas(layoutLinks) {
+  let [width, height] = getSize.call(this);
+  this.pixelRatio = window.devicePixelRatio || 1;
+  this.parent
+    .select("canvas")
+    .attr("width", width * this.pixelRatio)
+    .attr("height", height * this.pixelRatio)
+    .style("width", width + "px")
+    .style("height", height + "px");
+
+  let cache = {};
+  Object.keys(this.sprites).forEach(selector =>
+    this.sprites[selector].forEach(s => (cache[selector + s.key] = s))
+  );
+  let sprites = (this.sprites = {}),
+    paintOrder = (this.paintOrder = []);
+  let sprite = (selector, tagName, key, d, enter) => {
+    let s = cache[selector + key];
+    if (!s) {
+      s = new Sprite(this, tagName, key);
+      //Everything but links and wedges is a glyph (see glyphZoom)
+      s.glyph = selector !== "g.tidytree-link path" && selector !== "g.tidytree-wedge path";
+      enter(s);
+    }
+    s.__data__ = d;
+    if (!sprites[selector]) sprites[selector] = [];
+    sprites[selector].push(s);
+    paintOrder.push(s);
+    return s;
+  };
+
+  let linkTransformer = linkTransformers[this.type][this.mode][this.layout],
+    labelTransformer = labelTransformers[this.type][this.mode][this.layout];
+  layoutLinks.forEach(l => {
+    let key = l.source.data._guid + ":" + l.target.data._guid;
+    sprite("g.tidytree-link path", "path", key, l, s => {
+      s.setAttribute("fill", "none");
+      s.setAttribute("stroke", "#ccc");
+    }).setAttribute("d", linkTransformer(l));
+    let label = sprite("g.tidytree-link text", "text", key, l, s => {
+      s.setAttribute("y", 2);
+      s.setAttribute("text-anchor", "middle");
+      s.style.setProperty("font-size", "12px");
+      s.style.setProperty("opacity", this.branchDistances ? 1 : 0);
+    });
+    label.textContent = labeler(l);
+    label.setAttribute("transform", labelTransformer(l));
+  });
+
+  this.hierarchy.descendants().filter(d => d._children).forEach(d => {
+    let w = wedge.call(this, d),
+      group = parseTransform(w.transform);
+    let path = sprite("g.tidytree-wedge path", "path", d.data._guid, d, s =>
+      s.setAttribute("fill", "#ccc")
+    );
+    path.group = group;
+    path.setAttribute("d", w.path);
+    let label = sprite("g.tidytree-wedge text", "text", d.data._guid, d, s => {
+      s.setAttribute("y", 4);
+      s.style.setProperty("font-size", "12px");
+    });
+    label.group = group;
+    label.textContent = w.label;
+    label.setAttribute("text-anchor", w.labelAnchor);
+    label.setAttribute("transform", w.labelTransform);
+  });
+
+  let nodeTransformer = nodeTransformers[this.type][this.layout],
+    points = [];
+  this.hierarchy.descendants().forEach(d => {
+    let group = parseTransform(nodeTransformer(d)),
+      kind = isBranch(d) ? "g.tidytree-node-internal" : "g.tidytree-node-leaf";
+    points.push([group[0][1], group[0][2], d]);
+
+    sprite(kind + " circle", "circle", d.data._guid, d, s => {
+      s.setAttribute("title", d.data.id);
+      s.style.setProperty("opacity",
+        (isBranch(d) && this.branchNodes) ||
+        (!isBranch(d) && this.leafNodes) ? 1 : 0
+      );
+      s.setAttribute("r", 2.5);
+    }).group = group;
+
+    sprite(kind + " path.tidytree-node-symbol", "path", d.data._guid, d, s => {
+      s.style.setProperty("opacity",
+        (isBranch(d) && this.branchNodes) ||
+        (!isBranch(d) && this.leafNodes) ? 1 : 0
+      );
+    }).group = group;
+
+    let placement = labelPlacement.call(this, d);
+    let leader = sprite(kind + " path.tidytree-leader", "path", d.data._guid, d, s => {
+      s.setAttribute("fill", "none");
+      s.setAttribute("stroke", "#ccc");
+      s.setAttribute("stroke-dasharray", "2,2");
+      s.style.setProperty("opacity", !isBranch(d) && this.leafLabels ? 1 : 0);
+    });
+    leader.group = group;
+    leader.setAttribute("transform", placement.transform);
+    if (placement.leader) leader.setAttribute("d", placement.leader);
+    else leader.removeAttribute("d");
+
+    let label = sprite(kind + " text", "text", d.data._guid, d, s => {
+      s.textContent = d.data.id;
+      s.style.setProperty("font-size", "12px");
+      s.setAttribute("y", 2);
+      s.style.setProperty("opacity",
+        ( isBranch(d) && this.branchLabels) ||
+        (!isBranch(d) && this.leafLabels) ? 1 : 0
+      );
+    });
+    label.group = group;
+    label.setAttribute("transform", placement.transform);
+    label.setAttribute("text-anchor", placement.anchor);
+    label.setAttribute("x", placement.x);
+  });
+
+  if (this.support) {
+    this.hierarchy.descendants().filter(d => d.support !== undefined).forEach(d => {
+      let group = parseTransform(nodeTransformer(d));
+      sprite("g.tidytree-support circle", "circle", d.data._guid, d, s => {
+        s.setAttribute("r", 3);
+        s.setAttribute("stroke", "black");
+      }).group = group;
+      sprite("g.tidytree-support text", "text", d.data._guid, d, s => {
+        s.setAttribute("x", -4);
+        s.setAttribute("y", -4);
+        s.setAttribute("text-anchor", "end");
+        s.style.setProperty("font-size", "10px");
+      }).group = group;
+    });
+  }
+
+  this.quadtree = d3.quadtree(points);
+}
+
+/**
+ * Schedules a repaint of the canvas, batching any changes made until then
+ * @private
+ */
+function schedulePaint() {
+  if (this.paintTimer) return;
+  this.paintTimer = d3.timeout(() => {
+    this.paintTimer = null;
+    paintCanvas.call(this);
+  });
+}
+
+/**
+ * Paints all Sprites to the canvas under the current zoom and rotation
+ * @private
+ */
+function paintCanvas() {
+  let canvas = this.parent.select("canvas").node();
+  if (!canvas) return;
+  let ctx = canvas.getContext("2d");
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  applyView.call(this, ctx);
+  this.paintOrder.forEach(s => s.paint(ctx));
+}
+
+/**
+ * Transforms a freshly reset canvas context into the tree's coordinates,
+ * under the current zoom and rotation
+ * @private
+ */
+function applyView(ctx) {
+  let transform = this.transform || d3.zoomIdentity,
+    cx = baseLayout.call(this) === "circular" ? 0 : this.width / 2,
+    cy = baseLayout.call(this) === "circular" ? 0 : this.height / 2;
+  ctx.scale(this.pixelRatio, this.pixelRatio);
+  ctx.translate(transform.x, transform.y);
+  ctx.scale(transform.k, transform.k);
+  applyTransform(ctx, [["rotate", this.rotation, cx, cy]]);
+}
+
+/**
+ * Finds the topmost Sprite under the mouse among those drawn for some
+ * selectors, and returns its datum
+ * @private
+ */
+function findCanvasSprite(selectors) {
+  let canvas = this.parent.select("canvas").node(),
+    ctx = canvas.getContext("2d"),
+    [x, y] = d3.mouse(canvas).map(v => v * this.pixelRatio),
+    sprites = [].concat(...selectors.map(selector => this.sprites[selector] || []));
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  applyView.call(this, ctx);
+  let found;
+  for (let i = sprites.length - 1; i >= 0 && !found; i--) {
+    if (sprites[i].contains(ctx, x, y)) found = sprites[i];
+  }
+  ctx.restore();
+  return found ? found.__data__ : undefined;
+}
+
+/**
+ * Finds the node under the mouse on the canvas, if there is one
+ * @private
+ */
+function findCanvasNode() {
+  if (!this.quadtree) return;
+  let transform = this.transform || d3.zoomIdentity,
+    [x, y] = toTreeCoordinates.call(this, d3.mouse(this.parent.select("canvas").node()));
+  let point = this.quadtree.find(x, y, 5 / transform.k);
+  return point ? point[2] : undefined;
+}
+
+/**
+ * Converts a point on screen (relative to the svg or canvas) into the
+ * coordinates in which the tree is laid out, undoing the zoom and rotation.
+ * @private
+ */
+function toTreeCoordinates(point) {
+  let transform = this.transform || d3.zoomIdentity,
+    [x, y] = transform.invert(point),
+    cx = baseLayout.call(this) === "circular" ? 0 : this.width / 2,
+    cy = baseLayout.call(this) === "circular" ? 0 : this.height / 2,
+    angle = -this.rotation / radToDeg,
+    dx = x - cx,
+    dy = y - cy;
+  return [
+    cx + dx * Math.cos(angle) - dy * Math.sin(angle),
+    cy + dx * Math.sin(angle) + dy * Math.cos(angle)
+  ];
+}
+
+/**
+ * Returns the position of a node in layout coordinates.
+ * @private
+ */
+function nodePoint(d) {
+  let translate = parseTransform(nodeTransformers[this.type][this.layout](d))[0];
+  return [translate[1], translate[2]];
+}
+
+/**
+ * Lets the user select nodes by shift-dragging a rectangle or lasso over
+ * them. The zoom behavior leaves shift-drags alone while a brush is set.
+ * @private
+ */
+function attachBrush(target, overlay) {
+  let path = overlay
+      .append("path")
+      .attr("class", "tidytree-brush")
+      .attr("fill", "steelblue")
+      .attr("fill-opacity", 0.15)
+      .attr("stroke", "steelblue")
+      .attr("stroke-dasharray", "4 2")
+      .style("pointer-events", "none"),
+    points = [];
+  let polygon = () => {
+    if (this.brush === "lasso") return points;
+    let [[x0, y0], [x1, y1]] = [points[0], points[points.length - 1]];
+    return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+  };
+  this.zoom.filter(() =>
+    !d3.event.ctrlKey &&
+    !d3.event.button &&
+    !(this.brush && d3.event.shiftKey && d3.event.type === "mousedown")
+  );
+  target.call(d3
+    .drag()
+    .filter(() => this.brush && d3.event.shiftKey && !d3.event.button)
+    .on("start", () => (points = [d3.mouse(target.node())]))
+    .on("drag", () => {
+      points.push(d3.mouse(target.node()));
+      path.attr("d", `M${polygon().join("L")}Z`);
+    })
+    .on("end", () => {
+      path.attr("d", null);
+      if (points.length < 2) return;
+      let area = polygon().map(p => toTreeCoordinates.call(this, p));
+      this.select(
+        this.hierarchy.descendants().filter(d => d3.polygonContains(area, nodePoint.call(this, d))),
+        { add: true }
+      );
+    })
+  );
+}
+/**
+ * The rendering backends. Each is a pair of functions, called on the TidyTree:
+ * `draw(parent)` builds whatever scaffolding the backend needs inside of the
+ * parent selection, and `redraw(links)` renders the laid-out hierarchy.
+ * @private
+ */
+let renderers = {
+  svg: { draw: drawSVG, redraw: redrawSVG },
+  canvas: { draw: drawCanvas, redraw: redrawCanvas }
+};
+
+/**
+ * Selects the rendered elements matching selector. For the canvas renderer,
+ * these are Sprites.
+ * @private
+ */
+function selectRendered(selector) {
+  if (this.renderer === "canvas") {
+    return d3.selectAll(
+      [].concat(...selector.split(/\s*,\s*/).map(s => this.sprites[s] || []))
+    );
+  }
+  return this.parent.select("svg").selectAll(selector);
+}
+
+/**
+ * Returns the SVG transform that takes layout coordinates to the screen,
+ * under a zoom transform and the TidyTree's rotation
+ * @private
+ */
+function viewTransform(transform) {
+  let circular = baseLayout.call(this) === "circular";
+  return `translate(${transform.x},${transform.y}) scale(${transform.k}) rotate(${
+    this.rotation
+  },${circular ? 0 : this.width / 2},${circular ? 0 : this.height / 2})`;
+}
+
+/**
+ * Returns a linear scale from distance from the root to layout pixels along
+ * the depth axis (or radius). Distance is measured in branch length, except
+ * in trees (where it's the number of branches) and dendrograms (the number of
+ * levels above the tips).
+ * @private
+ */
+function depthScale() {
+  let type = baseType.call(this),
+    layout = baseLayout.call(this);
+  if (type === "tree" || (type === "dendrogram" && layout === "unrooted")) {
+    return d3.scaleLinear([0, this.scalar / this.depthStep], [0, this.scalar]);
+  }
+  if (type === "dendrogram") {
+    let levels = d => (d.children ? 1 + d3.max(d.children, levels) : 0);
+    return d3.scaleLinear([levels(this.hierarchy), 0], [0, this.scalar]);
+  }
+  return d3.scaleLinear([0, this.range[1]], [0, this.scalar]);
+}
+
+/**
+ * Redraws the ruler (an axis beside horizontal and vertical layouts, or along
+ * a radius of circular ones), the grid and the scale bar for the current zoom
+ * @private
+ */
+function updateRuler(transform) {
+  let [width, height] = getSize.call(this),
+    margin = getMargin.call(this);
+  if (!transform) transform = this.transform || d3.zoomIdentity.translate(margin[3], margin[0]);
+  let layout = baseLayout.call(this),
+    type = baseType.call(this),
+    horizontal = layout === "horizontal",
+    rooted = horizontal || layout === "vertical",
+    depth = depthScale.call(this),
+    origin = type === "time" && this.rootDate ? toDecimalYear(this.rootDate) : null,
+    //Time-scaled trees are labeled with dates, if there are any to go on
+    scale = origin === null ? depth :
+      d3.scaleUtc([this.rootDate, fromDecimalYear(origin + this.range[1])], [0, this.scalar]);
+
+  //Where along the ruler the root is drawn, and how much of the tree is in view
+  let offset = horizontal ? transform.x - margin[3] : transform.y - margin[0],
+    length = horizontal ? width - margin[1] - margin[3] : height - margin[0] - margin[2],
+    at = p => scale.invert((p - offset) / transform.k),
+    visible = scale.copy().domain([at(0), at(length)]).range([0, length]);
+
+  let bottom = height - margin[2] - 15;
+  let ruler = this.parent.select("g.tidytree-ruler");
+  let bg = ruler.select("rect");
+  if (this.ruler && rooted) {
+    if (horizontal) {
+      ruler.attr("transform", `translate(${margin[3]}, ${bottom})`);
+      bg
+        .attr("width", this.size ?
+          width - margin[1] - margin[3] + 15 :
+          `calc(100% - ${margin[1] + margin[3] - 15}px)`
+        )
+        .attr("height", "25px")
+        .attr("x", -5);
+    } else {
+      ruler.attr("transform", `translate(${margin[3] - 10}, ${margin[0]})`);
+      bg
+        .attr("height", this.size ?
+          height - margin[0] - margin[2] + 15 :
+          `calc(100% - ${margin[0] + margin[2] - 15}px)`
+        )
+        .attr("width", "25px")
+        .attr("x", -25);
+    }
+    ruler
+      .attr("opacity", 1)
+      .call((horizontal ? d3.axisBottom() : d3.axisLeft()).scale(visible));
+  } else {
+    animate(ruler, this.animation).attr("opacity", 0);
+  }
+
+  //The grid and the circular ruler are drawn in layout coordinates, so they
+  //move with the tree, but they keep their size on screen
+  let k = transform.k,
+    ticks =
+      rooted ? visible.ticks() :
+      layout === "circular" ? scale.ticks(Math.round(5 * k)).filter(t => scale(t) > 0) :
+      [],
+    grid = this.parent.select("g.tidytree-grid");
+  if (this.renderer === "canvas") grid.attr("transform", viewTransform.call(this, transform));
+  grid
+    .selectAll("path.tidytree-gridline")
+    .data(this.grid ? ticks : [])
+    .join("path")
+    .attr("class", "tidytree-gridline")
+    .attr("fill", "none")
+    .attr("stroke", currentTheme.call(this).grid || "#eee")
+    .attr("vector-effect", "non-scaling-stroke")
+    .attr("d", t => {
+      let p = scale(t);
+      return (
+        horizontal ? `M${p},0V${this.height}` :
+        layout === "vertical" ? `M0,${p}H${this.width}` :
+        `M${p},0A${p},${p} 0 1 1 ${-p},0A${p},${p} 0 1 1 ${p},0`
+      );
+    });
+  grid
+    .selectAll("g.tidytree-radial-ruler")
+    .data(this.ruler && layout === "circular" ? [ticks] : [])
+    .join("g")
+    .attr("class", "tidytree-radial-ruler")
+    .call(
+      d3.axisLeft(scale.copy().range([0, -this.scalar]))
+        .tickValues(ticks)
+        .tickSize(6 / k)
+        .tickPadding(3 / k)
+    )
+    .attr("font-size", 10 / k)
+    .call(axis => axis.selectAll("path, line").attr("vector-effect", "non-scaling-stroke"));
+
+  //A round length of branch, about a hundred pixels long at most
+  let perPixel = 1 / (Math.abs(depth(1) - depth(0)) * k),
+    step = Math.pow(10, Math.floor(Math.log10(100 * perPixel))),
+    span = [5 * step, 2 * step, step].find(v => v <= 100 * perPixel),
+    bar = this.parent
+      .select("g.tidytree-scale-bar")
+      .attr("transform", `translate(${margin[3]}, ${height - 10})`)
+      .selectAll("g")
+      .data(this.scaleBar && isFinite(span) ? [span] : [])
+      .join(enter => {
+        let g = enter.append("g");
+        g.append("path")
+          .attr("fill", "none")
+          .attr("stroke", "currentColor");
+        g.append("text")
+          .attr("fill", "currentColor")
+          .attr("y", -6)
+          .attr("text-anchor", "middle")
+          .style("font-size", "10px")
+          .style("font-family", "sans-serif");
+        return g;
+      });
+  bar.select("path").attr("d", v => `M0,-4V4M0,0H${v / perPixel}M${v / perPixel},-4V4`);
+  bar
+    .select("text")
+    .attr("x", v => v / perPixel / 2)
+    .text(v => d3.format("~g")(v) + (type === "time" ? (v === 1 ? " year" : " years") : ""));
+}
+
+let legendCount = 0;
+
+/**
+ * Draws a legend for each of the color, size and shape mappings in the top
+ * right corner. Like the ruler, it sits outside of the zoomed group, so it
+ * stays put while the tree is zoomed and panned. Categorical attributes get a
+ * swatch per category, continuous colors a gradient bar.
+ * @private
+ */
+function updateLegend() {
+  let legend = this.parent.select("g.tidytree-legend");
+  legend.selectAll("*").remove();
+  let channels = ["color", "size", "shape"].filter(c => this.mappings[c]);
+  if (!this.legend || !channels.length) return;
+
+  let [width] = getSize.call(this),
+    margin = getMargin.call(this);
+  legend.attr("transform", `translate(${width - margin[1]}, ${margin[0]})`);
+  let background = legend
+    .attr("fill", "currentColor")
+    .append("rect")
+    .attr("class", "tidytree-background")
+    .attr("fill", currentTheme.call(this).background || "white")
+    .attr("opacity", 0.8);
+
+  let y = 0, longest = 0;
+  let label = (text, bold) => {
+    text = String(text);
+    longest = Math.max(longest, text.length);
+    return legend
+      .append("text")
+      .attr("x", -18)
+      .attr("y", y + 4)
+      .attr("text-anchor", "end")
+      .style("font-size", "12px")
+      .style("font-weight", bold ? "bold" : null)
+      .text(text);
+  };
+
+  //y tracks the vertical center of the row being drawn
+  channels.forEach(channel => {
+    let { attribute, scale, continuous } = this.mappings[channel];
+    y += 12;
+    label(attribute, true);
+    y += 8;
+    if (channel === "color" && continuous) {
+      let id = `tidytree-legend-gradient-${++legendCount}`,
+        [min, max] = d3.extent(scale.domain());
+      legend
+        .append("defs")
+        .append("linearGradient")
+        .attr("id", id)
+        .attr("x1", 0).attr("y1", 1)
+        .attr("x2", 0).attr("y2", 0)
+        .selectAll("stop")
+        .data(d3.range(0, 1.01, 0.1))
+        .join("stop")
+        .attr("offset", t => t)
+        .attr("stop-color", t => scale(min + t * (max - min)));
+      y += 8;
+      legend
+        .append("rect")
+        .attr("x", -12)
+        .attr("y", y)
+        .attr("width", 12)
+        .attr("height", 80)
+        .attr("fill", `url(#${id})`);
+      label(+max.toPrecision(3));
+      y += 80;
+      label(+min.toPrecision(3));
+      y += 8;
+      return;
+    }
+    let values = continuous ? scale.ticks(4) : scale.domain();
+    values.forEach(value => {
+      let radius = channel === "size" ? scale(value) : 6,
+        half = Math.max(8, radius + 2);
+      y += half;
+      if (channel === "color") {
+        legend
+          .append("rect")
+          .attr("x", -12)
+          .attr("y", y - 6)
+          .attr("width", 12)
+          .attr("height", 12)
+          .attr("fill", scale(value));
+      } else {
+        legend
+          .append("path")
+          .attr("transform", `translate(-6, ${y})`)
+          .attr("d", d3.symbol()
+            .type(channel === "shape" ? scale(value) : d3.symbolCircle)
+            .size(Math.PI * radius ** 2)
+          );
+      }
+      label(value);
+      y += half;
+    });
+  });
+
+  background
+    .attr("x", -24 - 7 * longest)
+    .attr("y", 0)
+    .attr("width", 28 + 7 * longest)
+    .attr("height", y + 4);
+}
+
+/**
+ * Returns the zoom scale at which neighboring leaves are far enough apart for
+ * their labels to be read.
+ * @private
+ */
+function legibleScale() {
+  let leaves = this.hierarchy.leaves().length,
+    breadth =
+      baseLayout.call(this) === "horizontal" ? this.height :
+      baseLayout.call(this) === "vertical" ? this.width :
+      2 * Math.PI * this.tipExtent;
+  return Math.max(1, (14 * leaves) / (breadth || 1));
+}
+
+/**
+ * Returns a node's position in layout coordinates, rotated by the TidyTree's
+ * rotation: the coordinates to which the zoom transform applies.
+ * @private
+ */
+function rotatedPoint(d) {
+  let [x, y] = nodePoint.call(this, d),
+    cx = baseLayout.call(this) === "circular" ? 0 : this.width / 2,
+    cy = baseLayout.call(this) === "circular" ? 0 : this.height / 2,
+    angle = this.rotation / radToDeg;
+  return [
+    cx + (x - cx) * Math.cos(angle) - (y - cy) * Math.sin(angle),
+    cy + (x - cx) * Math.sin(angle) + (y - cy) * Math.cos(angle)
+  ];
+}
+
+/**
+ * Returns the nodes that are drawn standing in for some nodes: the nodes
+ * themselves, or for those hidden in collapsed clades, the collapsed clade.
+ * @private
+ */
+function shownNodes(nodes) {
+  return nodes.map(d => {
+    for (let a = d.parent; a; a = a.parent) if (a._children) d = a;
+    return d;
+  });
+}
+
+/**
+ * Pans and zooms to frame some nodes and their descendants
+ * @param  {(Object|String|Array|Function)} nodes A node of the hierarchy, a
+ * patristic.Branch, an id or _guid, an array of these, or a test (as in
+ * `select`)
+ * @param  {Object} [options] Options
+ * @param  {Number} [options.padding=20] The space to leave around the nodes,
+ * in pixels
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.zoomTo = function (nodes, options) {
+  if (!this.parent) {
+    throw Error("Tree has not been rendered yet! Can't zoom to nodes that aren't drawn!");
+  }
+  options = Object.assign({ padding: 20 }, options);
+  let found = shownNodes(findNodes.call(this, nodes));
+  if (!found.length) return this;
+  let points = [].concat(...found.map(d => d.descendants().map(c => rotatedPoint.call(this, c))));
+  let [x0, x1] = d3.extent(points, p => p[0]),
+    [y0, y1] = d3.extent(points, p => p[1]),
+    [width, height] = getSize.call(this),
+    padding = options.padding,
+    k = Math.min(
+      (width - 2 * padding) / (x1 - x0),
+      (height - 2 * padding) / (y1 - y0)
+    );
+  //A lone node has no extent, so zoom in only as far as it takes to read it
+  if (!isFinite(k)) k = Math.max((this.transform || d3.zoomIdentity).k, legibleScale.call(this));
+  animate(this.parent.select(this.renderer === "canvas" ? "canvas" : "svg"), this.animation).call(
+    this.zoom.transform,
+    d3.zoomIdentity
+      .translate(width / 2 - (k * (x0 + x1)) / 2, height / 2 - (k * (y0 + y1)) / 2)
+      .scale(k)
+  );
+  return this;
+};
+
+/**
+ * Pans and zooms to fit the whole tree into the view. (Unlike `recenter`,
+ * which only resets the view to the margins.)
+ * @param  {Object} [options] Options
+ * @param  {Number} [options.padding=20] The space to leave around the tree,
+ * in pixels
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.fit = function (options) {
+  return this.zoomTo(this.hierarchy, options);
+};
+
+/**
+ * Lists the nodes currently on screen, given the zoom and pan. Nodes hidden
+ * in collapsed clades aren't included.
+ * @return {Array} The nodes of the hierarchy within the view
+ */
+TidyTree.prototype.getVisibleNodes = function () {
+  if (!this.parent) return [];
+  let transform = this.transform || d3.zoomIdentity,
+    [width, height] = getSize.call(this);
+  return this.hierarchy.descendants().filter(d => {
+    let [x, y] = transform.apply(rotatedPoint.call(this, d));
+    return x >= 0 && x <= width && y >= 0 && y <= height;
+  });
+};
+
+/**
+ * Recenters the tree in the center of the view
+ * @return {TidyTree} The TidyTree object
+ */
+TidyTree.prototype.recenter = function () {
+  let svg = this.parent.select(this.renderer === "canvas" ? "canvas" : "svg"),
+    margin = getMargin.call(this),
+    x = margin[3],
+    y = margin[0];
+  if (baseLayout.call(this) === "circular") {
+    let [width, height] = getSize.call(this);
+    x += width / 2;
+    y += height / 2;
+  }
+  animate(svg, this.animation)
+    .call(this.zoom.transform, d3.zoomIdentity.translate(x, y));
+  return this;
+};
+
+/**
+ * Returns the layout, type and mode with which the tree is drawn
+ * @private
+ */
+function layoutState() {
+  return { layout: this.layout, type: this.type, mode: this.mode };
+}
+
+/**
+ * Tells the `layoutchange` listeners about any change to the layout, type or
+ * mode since `previous` (from `layoutState`).
+ * @private
+ */
+function layoutChanged(previous) {
+  let current = layoutState.call(this);
+  if (Object.keys(current).some(key => current[key] !== previous[key])) {
+    this.trigger("layoutchange", Object.assign(current, { previous: previous }));
+  }
+  return this;
+}
+
+/**
+ * Set the TidyTree's layout
+ * @param {String} newLayout The new layout
+ * @return {TidyTree} The TidyTree Object
+ */
+TidyTree.prototype.setLayout = function (newLayout) {
+  if (!TidyTree.validLayouts.includes(newLayout)) {
+    throw Error(`
+      Cannot set TidyTree to layout: ${newLayout}\n
+      Valid layouts are: ${TidyTree.validLayouts.join(', ')}
+    `);
+  }
+  let previous = layoutState.call(this);
+  this.layout = newLayout;
+  if (this.parent) this.redraw();
+  return layoutChanged.call(this, previous);
+};
+
+/**
+ * Set the TidyTree's mode
+ * @param {String} newMode The new mode
+ * @return {TidyTree} The TidyTree object
+ */
+TidyTree.prototype.setMode = function (newMode) {
+  if (!TidyTree.validModes.includes(newMode)) {
+    throw Error(`
+      Cannot set TidyTree to mode: ${newMode},\n
+      Valid modes are: ${TidyTree.validModes.join(', ')}
+    `);
+  }
+  let previous = layoutState.call(this);
+  this.mode = newMode;
+  if (this.parent) this.redraw();
+  return layoutChanged.call(this, previous);
+};
+
+/**
+ * Set the TidyTree's type
+ * @param {Boolean} newType The new type
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setType = function (newType) {
+  if (!TidyTree.validTypes.includes(newType)) {
+    throw Error(`
+      Cannot set TidyTree to type: ${newType},\n
+      Valid types are: ${TidyTree.validTypes.join(', ')}
+    `);
+  }
+  let previous = layoutState.call(this);
+  this.type = newType;
+  if (this.parent) this.redraw();
+  return layoutChanged.call(this, previous);
+};
+
+/**
+ * Set the TidyTree's renderer. Note that this rebuilds the view from scratch,
+ * so styles applied with the `each*` methods will be lost.
+ * @param {String} newRenderer The new renderer
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setRenderer = function (newRenderer) {
+  if (!TidyTree.validRenderers.includes(newRenderer)) {
+    throw Error(`
+      Cannot set TidyTree to renderer: ${newRenderer},\n
+      Valid renderers are: ${TidyTree.validRenderers.join(', ')}
+    `);
+  }
+  this.renderer = newRenderer;
+  if (this.parent) {
+    this.draw(this.parent.node());
+    this.redraw();
+    this.recenter();
+  }
+  return this;
+};
+
+/**
+ * Set the TidyTree's rotation
+ * @param {Number} degrees The new number of degrees by which to rotate the tree
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setRotation = function (degrees) {
+  this.rotation = degrees;
+  if (this.parent && this.renderer === "canvas") {
+    paintCanvas.call(this);
+    updateRuler.call(this);
+  } else if (this.parent)
+    this.parent
+      .select("svg g")
+      .attr("transform", viewTransform.call(this, this.transform));
+  return this;
+};
+
+/**
+ * Set the TidyTree's Horizontal Stretch
+ * @param {Number} proportion The new proportion by which to stretch the tree
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setHStretch = function (proportion) {
+  this.hStretch = parseFloat(proportion);
+  if (this.parent) {
+    let animCache = this.animation;
+    this.setAnimation(0);
+    this.redraw();
+    this.setAnimation(animCache);
+  }
+  return this;
+};
+
+/**
+ * Set the TidyTree's Vertical Stretch
+ * @param {Number} proportion The new proportion by which to stretch the tree
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setVStretch = function (proportion) {
+  this.vStretch = parseFloat(proportion);
+  if (this.parent) {
+    let animCache = this.animation;
+    this.setAnimation(0);
+    this.redraw();
+    this.setAnimation(animCache);
+  }
+  return this;
+};
+
+/**
+ * Set the TidyTree's animation time. Note that this does not trigger a
+ * redraw.
+ * @param {number} time The desired duration of an animation, in ms. Set to 0
+ * to turn animations off completely.
+ * @return {TidyTree} The TidyTree object
+ */
+TidyTree.prototype.setAnimation = function (time) {
+  this.animation = time;
+  return this;
+};
+
+/**
+ * Shows or hides the Branch Nodes
+ * @param  {Boolean} show Should Branch nodes be shown?
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setBranchNodes = function (show) {
+  this.branchNodes = show ? true : false;
+  if (this.parent) {
+    //i.e. has already been drawn
+    animate(selectRendered.call(this,
+      "g.tidytree-node-internal circle, g.tidytree-node-internal path.tidytree-node-symbol"
+    ), this.animation).style("opacity", show ? 1 : 0);
+  }
+  return this;
+};
+
+/**
+ * Restyles Leaf Nodes
+ * @param  {Function} styler A function that restyles each node. `styler`
+ * receives a reference to the DOM node to be styled, and an associated data
+ * object.
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.eachBranchNode = function (styler) {
+  if (!this.parent)
+    throw Error(
+      "Tree has not been rendered yet! Can't style Nodes that don't exist!"
+    );
+  selectRendered.call(this, "g.tidytree-node-internal circle")
+    .each(function (d) { styler(this, d); });
+  return this;
+};
+
+/**
+ * Set the TidyTree's branchLabels
+ * @param  {Boolean} show Should the TidyTree show branchLabels?
+ * @return {TidyTree}     the TidyTree Object
+ */
+TidyTree.prototype.setBranchLabels = function (show) {
+  this.branchLabels = show ? true : false;
+  if (this.parent) {
+    //i.e. has already been drawn
+    animate(selectRendered.call(this, "g.tidytree-node-internal text"), this.animation)
+      .style("opacity", show ? 1 : 0);
+  }
+  return this;
+};
+
+/**
+ * Restyles Branch Label
+ * @param  {Function} styler A function that restyles each node. `styler`
+ * receives a reference to the DOM node to be styled, and an associated data
+ * object.
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.eachBranchLabel = function (styler) {
+  if (!this.parent){
+    throw Error("Tree has not been rendered yet! Can't style Nodes that don't exist!");
+  }
+  selectRendered.call(this, "g.tidytree-node-internal text")
+    .each(function (d, i, l) { styler(this, d); });
+  return this;
+};
+
+/**
+ * Shows or hides the TidyTree's branch labels
+ * @param {Boolean} show Should the TidyTree show branch distances?
+ * @return {TidyTree} The TidyTree Object
+ */
+TidyTree.prototype.setBranchDistances = function (show) {
+  this.branchDistances = show ? true : false;
+  if (this.parent) {
+    //i.e. has already been drawn
+    let links = selectRendered.call(this, "g.tidytree-link text");
+    links.attr("transform", l => labelTransformers[this.type][this.mode][this.layout](l) + glyphScale.call(this));
+    animate(links, this.animation).style("opacity", show ? 1 : 0);
+  }
+  return this;
+};
+
+/**
+ * Restyles Branch Distances
+ * @param  {Function} styler A function that restyles each node. `styler`
+ * receives a reference to the DOM node to be styled, and an associated data
+ * object.
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.eachBranchDistance = function (styler) {
+  if (!this.parent)
+    throw Error("Tree has not been rendered yet! Can't style Nodes that don't exist!");
+  selectRendered.call(this, "g.tidytree-link text")
+    .each(function (d, i, l) { styler(this, d); });
+  return this;
+};
+
+/**
+ * Shows or Hides the Leaf Nodes
+ * @param  {Boolean} show Should leaf nodes be visible?
+ * @return {TidyTree} The TidyTree Object
+ */
+TidyTree.prototype.setLeafNodes = function (show) {
+  this.leafNodes = show ? true : false;
+  if (this.parent) {
+    //i.e. has already been drawn
+    animate(selectRendered.call(this,
+      "g.tidytree-node-leaf circle, g.tidytree-node-leaf path.tidytree-node-symbol"
+    ), this.animation).style("opacity", show ? 1 : 0);
+  }
+  return this;
+};
+
+/**
+ * Restyles Leaf Nodes
+ * @param  {Function} styler A function that restyles each node. `styler`
+ * receives a reference to the DOM node to be styled, and an associated data
+ * object.
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.eachLeafNode = function (styler) {
+  if (!this.parent){
+    throw Error("Tree has not been rendered yet! Can't style Nodes that don't exist!");
+  }
+  selectRendered.call(this, "g.tidytree-node-leaf circle")
+    .each(function (d) {
+      styler(this, d);
+    });
+  return this;
+};
+
+/**
+ * Shows or Hides the TidyTree's Leaf Labels
+ * @param  {Boolean} show Should the TidyTree show leafLabels?
+ * @return {TidyTree}     the TidyTree Object
+ */
+TidyTree.prototype.setLeafLabels = function (show) {
+  this.leafLabels = show ? true : false;
+  if (this.parent) {
+    //i.e. has already been drawn
+    animate(selectRendered.call(this,
+      "g.tidytree-node-leaf text, g.tidytree-node-leaf path.tidytree-leader"
+    ), this.animation).style("opacity", show ? 1 : 0);
+    if (this.margin === "auto") this.redraw();
+  }
+  return this;
+};
+
+/**
+ * Restyles Leaf Labels
+ * @param  {Function} styler A function that restyles each node. `styler`
+ * receives a reference to the DOM node to be styled, and an associated data
+ * object.
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.eachLeafLabel = function (styler) {
+  if (!this.parent){
+    throw Error("Tree has not been rendered yet! Can't style Nodes that don't exist!");
+  }
+  selectRendered.call(this, "g.tidytree-node-leaf text")
+    .each(function (d) { styler(this, d); });
+  return this;
+};
+
+/**
+ * The parts of the tree that `style` rules apply to, and what they select
+ * @type {Object}
+ */
+const styleSelectors = {
+  link: "g.tidytree-link path",
+  branchDistance: "g.tidytree-link text",
+  branchNode: "g.tidytree-node-internal circle, g.tidytree-node-internal path.tidytree-node-symbol",
+  branchLabel: "g.tidytree-node-internal text",
+  leafNode: "g.tidytree-node-leaf circle, g.tidytree-node-leaf path.tidytree-node-symbol",
+  leafLabel: "g.tidytree-node-leaf text",
+  leader: "g.tidytree-node-leaf path.tidytree-leader",
+  wedge: "g.tidytree-wedge path",
+  wedgeLabel: "g.tidytree-wedge text"
+};
+
+//Rules for these are set as attributes, and everything else as styles
+const styleAttributes = ["r"];
+
+//What clearing a rule restores, where the renderers set more than the default
+const styleDefaults = { r: 2.5, "font-size": "12px" };
+
+/**
+ * The built-in themes for `setTheme`. A theme has `style` rules for any of
+ * the tree's parts, and may set the `background`, the `color` of the ruler,
+ * scale bar and legend, and the color of the `grid`.
+ * @type {Object}
+ */
+TidyTree.themes = {
+  light: {},
+  dark: {
+    background: "#1e1e1e",
+    color: "#ddd",
+    grid: "#333",
+    link: { stroke: "#777" },
+    branchDistance: { fill: "#aaa" },
+    branchNode: { fill: "#ddd" },
+    branchLabel: { fill: "#ddd" },
+    leafNode: { fill: "#ddd" },
+    leafLabel: { fill: "#ddd" },
+    leader: { stroke: "#555" },
+    wedge: { fill: "#555" },
+    wedgeLabel: { fill: "#ddd" }
+  },
+  print: {
+    background: "white",
+    color: "black",
+    grid: "#ddd",
+    link: { stroke: "black" },
+    branchDistance: { "font-family": "Helvetica, Arial, sans-serif" },
+    branchNode: { fill: "black" },
+    branchLabel: { fill: "black", "font-family": "Helvetica, Arial, sans-serif" },
+    leafNode: { fill: "black" },
+    leafLabel: { fill: "black", "font-family": "Helvetica, Arial, sans-serif" },
+    leader: { stroke: "#999" },
+    wedge: { fill: "#bbb" }
+  }
+};
+
+/**
+ * Returns the theme object for the TidyTree's `theme`
+ * @private
+ */
+function currentTheme() {
+  return typeof this.theme === "string" ? TidyTree.themes[this.theme] : this.theme || {};
+}
+
+/**
+ * Returns the rules in effect: the theme's, overridden by those set with
+ * `style`.
+ * @private
+ */
+function styleRules() {
+  let theme = currentTheme.call(this),
+    rules = {};
+  Object.keys(styleSelectors).forEach(part => {
+    let merged = Object.assign({}, theme[part], this.styles[part]);
+    if (Object.keys(merged).length) rules[part] = merged;
+  });
+  return rules;
+}
+
+/**
+ * Returns the value the rules give a property of an element, or null if
+ * none do. Restylers like the selection's fall back on this.
+ * @private
+ */
+function ruleValue(part, property, element, d, i, nodes) {
+  let rule = (styleRules.call(this)[part] || {})[property];
+  if (typeof rule === "function") return rule.call(element, d, i, nodes);
+  return rule === undefined ? null : rule;
+}
+
+/**
+ * Wraps a style value for nodes' glyphs or labels (`piece` is "Node" or
+ * "Label") so that wherever it's null, the style rules apply instead.
+ * @private
+ */
+function orRule(tree, piece, property, value) {
+  return function (d, i, nodes) {
+    let v = value(d);
+    if (v !== null) return v;
+    return ruleValue.call(tree, (isBranch(d) ? "branch" : "leaf") + piece, property, this, d, i, nodes);
+  };
+}
+
+/**
+ * Sets or clears (with `null`) a property of some elements, as a rule would.
+ * @private
+ */
+function setStyle(selection, property, value) {
+  if (property === "class") {
+    //Only SVG elements have classes, and only those a rule added are removed
+    if (this.renderer !== "svg") return;
+    selection.each(function (d, i, nodes) {
+      let element = d3.select(this),
+        classes = typeof value === "function" ? value.call(this, d, i, nodes) : value;
+      if (this.__ruleClasses) element.classed(this.__ruleClasses, false);
+      this.__ruleClasses = classes || null;
+      if (classes) element.classed(classes, true);
+    });
+  } else if (styleAttributes.includes(property)) {
+    selection.attr(property, value === null ? styleDefaults[property] : value);
+  } else {
+    selection.style(property, value === null && property in styleDefaults ? styleDefaults[property] : value);
+  }
+}
+
+/**
+ * Applies the style rules to everything rendered
+ * @private
+ */
+function applyStyles() {
+  if (!this.parent) return;
+  let rules = styleRules.call(this);
+  Object.keys(rules).forEach(part => {
+    let elements = selectRendered.call(this, styleSelectors[part]);
+    Object.keys(rules[part]).forEach(property =>
+      setStyle.call(this, elements, property, rules[part][property])
+    );
+  });
+}
+
+/**
+ * Clears the properties the rules `previous` set that the current ones don't
+ * @private
+ */
+function clearStyles(previous) {
+  if (!this.parent) return;
+  let rules = styleRules.call(this);
+  Object.keys(previous).forEach(part => {
+    let elements = selectRendered.call(this, styleSelectors[part]);
+    Object.keys(previous[part])
+      .filter(property => !rules[part] || !(property in rules[part]))
+      .forEach(property => setStyle.call(this, elements, property, null));
+  });
+}
+
+/**
+ * Applies the style rules, mappings, support and selection, in that order of
+ * precedence.
+ * @private
+ */
+function restyle() {
+  applyStyles.call(this);
+  applyMappings.call(this);
+  applySupport.call(this);
+  applySelection.call(this);
+}
+
+/**
+ * Puts the theme's background, color and class on the tree's root element
+ * @private
+ */
+function applyTheme() {
+  if (!this.parent) return;
+  let theme = currentTheme.call(this),
+    root = this.parent.select(this.renderer === "canvas" ? "div" : "svg");
+  root
+    .attr("class", typeof this.theme === "string" ? `tidytree tidytree-theme-${this.theme}` : "tidytree")
+    .style("background-color", theme.background || null)
+    .style("color", theme.color || null);
+  this.parent.selectAll("rect.tidytree-background").attr("fill", theme.background || "white");
+}
+
+/**
+ * Adds style rules, which are applied to the tree's elements whenever they're
+ * drawn, so (unlike the `each*` methods' changes) they survive redraws and
+ * new data. Rules are given for parts of the tree (`link`, `branchDistance`,
+ * `branchNode`, `branchLabel`, `leafNode`, `leafLabel`, `leader`, `wedge`
+ * and `wedgeLabel`), each as an object of CSS properties (in kebab- or
+ * camelCase, with `r` for nodes' radius) and their values. Values may be
+ * functions of each element's data, as with d3's `style`. The `class`
+ * property adds classes for stylesheets to hook onto (in the SVG renderer).
+ * Rules override the theme's, and are overridden by mappings like `colorBy`
+ * and by the selection.
+ * @example
+ * tree.style({
+ *   leafNode: { fill: d => d.metadata.color, r: 4 },
+ *   link: { stroke: "#999", class: l => l.target.data.id }
+ * });
+ * @param  {Object} [rules] The rules to add. A property set to `null` is
+ * removed, as are all of a part's rules if it's set to `null`, or all rules if
+ * `rules` is `null`.
+ * @return {(TidyTree|Object)} the TidyTree object, or the rules if `rules`
+ * was omitted
+ */
+TidyTree.prototype.style = function (rules) {
+  if (rules === undefined) return this.styles;
+  let previous = styleRules.call(this);
+  if (rules === null) this.styles = {};
+  else Object.keys(rules).forEach(part => {
+    if (!styleSelectors[part]) {
+      throw Error(`
+      Cannot style TidyTree part: ${part},\n
+      Valid parts are: ${Object.keys(styleSelectors).join(', ')}
+    `);
+    }
+    if (rules[part] === null) return delete this.styles[part];
+    let merged = Object.assign({}, this.styles[part]);
+    Object.keys(rules[part]).forEach(property => {
+      let name = property.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+      if (rules[part][property] === null) delete merged[name];
+      else merged[name] = rules[part][property];
+    });
+    this.styles[part] = merged;
+  });
+  if (!this.parent) return this;
+  let current = styleRules.call(this),
+    fontSize = (rules, part) => rules[part] ? rules[part]["font-size"] : undefined;
+  clearStyles.call(this, previous);
+  //Font sizes change the margin and which labels overlap, so lay out afresh
+  if (Object.keys(styleSelectors).some(part => fontSize(previous, part) !== fontSize(current, part))) {
+    return this.redraw();
+  }
+  restyle.call(this);
+  return this;
+};
+
+/**
+ * Sets the TidyTree's theme: a set of style rules (see `style`) and colors
+ * for the background and the ruler, scale bar, legend and grid. Rules set
+ * with `style` override the theme's. The SVG (or, with the canvas renderer,
+ * the div around the canvas) gets the classes `tidytree` and
+ * `tidytree-theme-<name>`.
+ * @param {(String|Object)} theme The name of a theme in `TidyTree.themes`
+ * ("light", "dark" or "print"), or a theme object
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setTheme = function (theme) {
+  if (typeof theme === "string" && !TidyTree.themes[theme]) {
+    throw Error(`
+      Cannot set TidyTree to theme: ${theme},\n
+      Valid themes are: ${Object.keys(TidyTree.themes).join(', ')}
+    `);
+  }
+  let previous = styleRules.call(this);
+  this.theme = theme || "light";
+  clearStyles.call(this, previous);
+  applyTheme.call(this);
+  if (this.parent) return this.redraw();
+  return this;
+};
+
+/**
+ * Lines up the leaf labels past the farthest tip, with dotted lines leading
+ * out to them (or puts them back beside their leaves)
+ * @param  {Boolean} align Should the TidyTree align its leaf labels?
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.setAlignTipLabels = function (align) {
+  this.alignTipLabels = align ? true : false;
+  if (this.parent) return this.redraw();
+  return this;
+};
+
+/**
+ * Sets whether leaf labels that would overlap their neighbors at the current
+ * zoom are hidden. (If you restyle labels' font sizes, call `redraw` so that
+ * overlaps, and an "auto" margin, are worked out again.)
+ * @param  {Boolean} thin Should overlapping leaf labels be hidden?
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.setThinLabels = function (thin) {
+  this.thinLabels = thin ? true : false;
+  if (this.parent) avoidCollisions.call(this, true);
+  return this;
+};
+
+/**
+ * Sets whether zooming keeps node glyphs and labels the same size on screen,
+ * spreading the tree out (and revealing labels as there's room for them)
+ * rather than magnifying it
+ * @param  {Boolean} semantic Should zooming leave glyphs and labels their
+ * size?
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.setSemanticZoom = function (semantic) {
+  this.semanticZoom = semantic ? true : false;
+  if (this.parent) {
+    scaleGlyphs.call(this);
+    avoidCollisions.call(this, true);
+    if (this.renderer === "canvas") paintCanvas.call(this);
+  }
+  return this;
+};
+
+/**
+ * Sets how many equal-daylight passes spread out the unrooted layout after
+ * its equal-angle placement
+ * @param  {(Boolean|Number)} passes The number of passes to make (`true` for
+ * 5), or `false` for plain equal-angle placement
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.setDaylight = function (passes) {
+  this.daylight = passes;
+  if (this.parent && baseLayout.call(this) === "unrooted") return this.redraw();
+  return this;
+};
+
+/**
+ * Shows or hides the TidyTree's branch labels
+ * @param {Boolean} show Should the TidyTree show branchLabels?
+ * @return {TidyTree} The TidyTree Object
+ */
+TidyTree.prototype.setRuler = function (show) {
+  this.ruler = show ? true : false;
+  if (this.parent) updateRuler.call(this); //i.e. has already been drawn
+  return this;
+};
+
+/**
+ * Shows or hides grid lines across the tree (or, in circular layouts, rings
+ * around it) at the ruler's ticks
+ * @param  {Boolean} show Should the TidyTree show grid lines?
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.setGrid = function (show) {
+  this.grid = show ? true : false;
+  if (this.parent) updateRuler.call(this);
+  return this;
+};
+
+/**
+ * Shows or hides a scale bar, showing how long a branch of a round length
+ * is, in the bottom left corner
+ * @param  {Boolean} show Should the TidyTree show a scale bar?
+ * @return {TidyTree} the TidyTree Object
+ */
+TidyTree.prototype.setScaleBar = function (show) {
+  this.scaleBar = show ? true : false;
+  if (this.parent) updateRuler.call(this);
+  return this;
+};
+
+/**
+ * Sets the date of the most recently sampled tip, which anchors the calendar
+ * dates of the "time" type. Branch lengths are taken to be in years.
+ * @param  {(Date|String|Number)} date A Date, an ISO date string (e.g.
+ * "2019-03-04") or a decimal year (e.g. 2019.17). Pass `null` to go back to
+ * reading dates from leaf names.
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setMostRecentTip = function (date) {
+  if (date !== null && date !== undefined && isNaN(toDecimalYear(date))) {
+    throw Error(`Cannot set TidyTree's most recent tip to ${date}: it isn't a date`);
+  }
+  this.mostRecentTip = date === undefined ? null : date;
+  return rebuild.call(this);
+};
+
+/**
+ * The ways in which TidyTree can show support values
+ * @type {Array}
+ */
+TidyTree.validSupports = ["text", "circles", "width"];
+
+/**
+ * Returns the support for the branch leading to a node: the node's
+ * `supportAttribute` if one is set or, failing that, its name (if it's a
+ * number, as bootstrap values in Newick usually are) or its first confidence
+ * annotation (e.g. a `posterior`).
+ * @private
+ */
+function supportValue(d) {
+  if (!d.parent || !d.children) return undefined;
+  let value;
+  if (this.supportAttribute) {
+    value = d.metadata ? d.metadata[this.supportAttribute] : undefined;
+  } else if (d.data.id !== "" && !isNaN(d.data.id)) {
+    value = d.data.id;
+  } else if (d.metadata) {
+    let type = confidenceTypes.find(t => d.metadata[t] !== undefined);
+    if (type) value = d.metadata[type];
+  }
+  if (value === undefined || value === null || value === "" || isNaN(value)) return undefined;
+  return +value;
+}
+
+/**
+ * Whether a node's support reaches the `supportThreshold` (or there's no
+ * threshold)
+ * @private
+ */
+function supported(d) {
+  let threshold = this.supportThreshold;
+  return threshold === null || threshold === undefined || d.support >= threshold;
+}
+
+/**
+ * Folds internal nodes whose support is below the threshold into their
+ * parents, turning them into polytomies. This only changes the hierarchy, so
+ * the tree's data (and what's exported) is left alone.
+ * @private
+ */
+function collapseUnsupported() {
+  this.hierarchy.eachAfter(d => {
+    if (!d.children) return;
+    d.children = [].concat(...d.children.map(c => {
+      if (!c.children || c.support === undefined || supported.call(this, c)) return [c];
+      c.children.forEach(grandchild => (grandchild.parent = d));
+      return c.children;
+    }));
+  });
+  this.hierarchy.eachBefore(d => (d.depth = d.parent ? d.parent.depth + 1 : 0));
+  this.hierarchy.eachAfter(d => (d.height = d.children ? d3.max(d.children, c => c.height) + 1 : 0));
+}
+
+/**
+ * Styles the support glyphs (and, in the "width" mode, the branches) for the
+ * current support mode and threshold.
+ * @private
+ */
+function applySupport() {
+  if (!this.parent) return;
+  let show = d => supported.call(this, d);
+  selectRendered.call(this, "g.tidytree-support text")
+    .text(d => +d.support.toPrecision(3))
+    .style("display", d => this.support === "text" && show(d) ? null : "none");
+  selectRendered.call(this, "g.tidytree-support circle")
+    .style("fill", d => show(d) ? "black" : "white")
+    .style("display", this.support === "circles" ? null : "none");
+  if (this.support === "width") {
+    let max = d3.max(this.hierarchy.descendants(), d => d.support);
+    selectRendered.call(this, "g.tidytree-link path").style("stroke-width", l =>
+      l.target.support === undefined ? null : 1 + (show(l.target) ? 3 * l.target.support / max : 0)
+    );
+  }
+}
+
+/**
+ * Sets how the TidyTree shows the support for each branch
+ * @param {String} support "text" to label nodes with their support, "circles"
+ * to mark them with circles (filled if their support reaches
+ * `supportThreshold`), "width" to draw better-supported branches thicker, or
+ * `null` to show nothing
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setSupport = function (support) {
+  if (support && !TidyTree.validSupports.includes(support)) {
+    throw Error(`
+      Cannot set TidyTree to support: ${support},
+
+      Valid supports are: ${TidyTree.validSupports.join(', ')}
+    `);
+  }
+  if (this.parent && this.support === "width") {
+    selectRendered.call(this, "g.tidytree-link path").style("stroke-width", null);
+  }
+  this.support = support || null;
+  if (this.parent) return this.redraw();
+  return this;
+};
+
+/**
+ * Sets the attribute (an annotation or metadata column) holding each node's
+ * support
+ * @param {String} attribute The attribute, or `null` to read support from
+ * numeric node names or confidence annotations (e.g. `posterior`)
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setSupportAttribute = function (attribute) {
+  this.supportAttribute = attribute || null;
+  return rebuild.call(this);
+};
+
+/**
+ * Sets the support below which support labels are hidden (and circles are
+ * left unfilled)
+ * @param {Number} threshold The threshold, or `null` for none
+ * @param {Boolean} [collapse] Should branches with less support be collapsed
+ * into polytomies? Defaults to the current `collapseUnsupported`.
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setSupportThreshold = function (threshold, collapse) {
+  this.supportThreshold = threshold === undefined || threshold === "" ? null : threshold;
+  if (collapse !== undefined) this.collapseUnsupported = collapse ? true : false;
+  return rebuild.call(this);
+};
+
+/**
+ * Returns every node of the hierarchy (in pre-order), including those hidden
+ * in collapsed clades.
+ * @private
+ */
+function allNodes(root) {
+  let nodes = [],
+    stack = [root];
+  while (stack.length) {
+    let d = stack.pop(),
+      children = d.children || d._children;
+    nodes.push(d);
+    if (children) {
+      for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Returns every leaf of the hierarchy, including those hidden in collapsed
+ * clades.
+ * @private
+ */
+function allLeaves(root) {
+  return allNodes(root).filter(d => !(d.children || d._children));
+}
+
+/**
+ * Reads the dates of the tips, as `rootToTip` describes.
+ * @private
+ * @return {Map} Each dated leaf of the hierarchy, mapped to its date as a
+ * decimal year
+ */
+function tipDates(options) {
+  options = Object.assign({}, options);
+  let pattern = options.pattern || this.tipDatePattern || tipDatePattern,
+    dates = new Map();
+  allLeaves(this.hierarchy).forEach(d => {
+    let value;
+    if (options.attribute) {
+      value = d.metadata ? d.metadata[options.attribute] : undefined;
+    } else {
+      let match = String(d.data.id).match(pattern);
+      if (match) value = match[1] || match[0];
+    }
+    if (value === undefined || value === null || value === "") return;
+    let date = toDecimalYear(value);
+    if (!isNaN(date)) dates.set(d, date);
+  });
+  return dates;
+}
+
+/**
+ * Regresses root-to-tip distance on sampling date, as in TempEst, to check
+ * the tree for temporal signal before dating it.
+ * @param  {Object} [options] Options
+ * @param  {String} [options.attribute] A metadata attribute holding each
+ * tip's date. If omitted, dates are read from leaf names.
+ * @param  {RegExp} [options.pattern] The pattern with which to find dates in
+ * leaf names (its first capture group, or else the whole match, is the date).
+ * Defaults to the tree's `tipDatePattern`, which matches dates like
+ * "A/2019-03-04" and "B|2019.17".
+ * @return {Object} The `points` (one `{node, id, date, distance}` per dated
+ * tip, with `date` as a decimal year), the regression's `rate` (its slope, i.e.
+ * the clock rate), `intercept`, `tmrca` (its x-intercept, as a decimal year)
+ * and `r2`.
+ */
+TidyTree.prototype.rootToTip = function (options) {
+  let dates = tipDates.call(this, options);
+  let points = Array.from(dates, ([d, date]) => ({
+    node: d,
+    id: d.data.id,
+    date: date,
+    distance: d.value * this.range[1]
+  }));
+  if (points.length < 2) {
+    throw Error("Cannot compute root-to-tip regression: fewer than two tips have dates");
+  }
+
+  let mx = d3.mean(points, p => p.date),
+    my = d3.mean(points, p => p.distance),
+    sxx = d3.sum(points, p => (p.date - mx) ** 2),
+    syy = d3.sum(points, p => (p.distance - my) ** 2),
+    sxy = d3.sum(points, p => (p.date - mx) * (p.distance - my));
+  let rate = sxy / sxx,
+    intercept = my - rate * mx;
+  return {
+    points: points,
+    rate: rate,
+    intercept: intercept,
+    tmrca: -intercept / rate,
+    r2: (sxy * sxy) / (sxx * syy)
+  };
+};
+
+/**
+ * Draws attention to a node (or stops doing so) wherever it's rendered.
+ * @private
+ */
+function highlightNode(node, on) {
+  if (!this.parent) return;
+  selectRendered.call(this, [circleSelector, symbolSelector].join(", "))
+    .filter(d => d.data._guid === node.data._guid)
+    .style("stroke", orRule(this, "Node", "stroke", () => on ? "#e6550d" : null))
+    .style("stroke-width", orRule(this, "Node", "stroke-width", () => on ? 2 : null))
+    .style("opacity", d =>
+      on || (isBranch(d) && this.branchNodes) || (!isBranch(d) && this.leafNodes) ? 1 : 0
+    );
+  //Put back the selection's ring, if the node had one
+  if (!on) applySelection.call(this);
+}
+
+/**
+ * Draws the root-to-tip regression (see `rootToTip`) as a scatterplot of
+ * root-to-tip distance against date, with the regression line, clock rate,
+ * TMRCA and R². Hovering a point highlights its leaf and fires `showtooltip`
+ * (and `hidetooltip`) as though the leaf itself were hovered. The plot is
+ * redrawn whenever the tree's data changes.
+ * @param  {String} selector A CSS selector for the element in which to draw
+ * the plot. Pass `null` to remove it.
+ * @param  {Object} [options] The options for `rootToTip`, and
+ * @param  {Number} [options.width] The width of the plot. Defaults to the
+ * width of the element, or 400.
+ * @param  {Number} [options.height] The height of the plot. Defaults to the
+ * height of the element, or 300.
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.drawRootToTip = function (selector, options) {
+  if (this.rootToTipPanel) d3.select(this.rootToTipPanel.selector).html(null);
+  this.rootToTipPanel = selector ? { selector: selector, options: Object.assign({}, options) } : null;
+  if (this.rootToTipPanel) drawRootToTip.call(this);
+  return this;
+};
+
+/**
+ * (Re)draws the root-to-tip panel set up by `drawRootToTip`.
+ * @private
+ */
+function drawRootToTip() {
+  let { selector, options } = this.rootToTipPanel;
+  let container = d3.select(selector).html(null),
+    node = container.node();
+  if (!node) return;
+  let width = options.width || node.clientWidth || 400,
+    height = options.height || node.clientHeight || 300,
+    margin = { top: 30, right: 15, bottom: 30, left: 50 };
+  let svg = container
+    .append("svg")
+    .attr("class", "tidytree-root-to-tip")
+    .attr("width", width)
+    .attr("height", height)
+    .style("font-family", "sans-serif");
+
+  let regression;
+  try {
+    regression = this.rootToTip(options);
+  } catch (e) {
+    svg
+      .append("text")
+      .attr("x", width / 2)
+      .attr("y", height / 2)
+      .attr("text-anchor", "middle")
+      .style("font-size", "12px")
+      .text("Not enough dated tips for a root-to-tip regression");
+    return;
+  }
+  let { points, rate, intercept, tmrca, r2 } = regression;
+
+  //Extend the x axis back to the TMRCA, unless it's implausibly far back
+  let dates = d3.extent(points, p => p.date),
+    span = dates[1] - dates[0] || 1;
+  if (rate > 0 && tmrca < dates[0] && tmrca > dates[0] - 5 * span) dates[0] = tmrca;
+  let x = d3
+    .scaleUtc()
+    .domain(dates.map(fromDecimalYear))
+    .range([margin.left, width - margin.right])
+    .nice();
+  let y = d3
+    .scaleLinear()
+    .domain([0, d3.max(points, p => p.distance) || 1])
+    .range([height - margin.bottom, margin.top])
+    .nice();
+
+  svg
+    .append("g")
+    .attr("transform", `translate(0, ${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(5));
+  svg
+    .append("g")
+    .attr("transform", `translate(${margin.left}, 0)`)
+    .call(d3.axisLeft(y).ticks(5));
+
+  let [x0, x1] = x.domain().map(toDecimalYear);
+  svg
+    .append("line")
+    .attr("class", "tidytree-root-to-tip-line")
+    .attr("x1", x(fromDecimalYear(x0)))
+    .attr("y1", y(intercept + rate * x0))
+    .attr("x2", x(fromDecimalYear(x1)))
+    .attr("y2", y(intercept + rate * x1))
+    .attr("stroke", "#e6550d")
+    .attr("stroke-width", 1.5);
+
+  svg
+    .append("g")
+    .attr("class", "tidytree-root-to-tip-points")
+    .selectAll("circle")
+    .data(points)
+    .join("circle")
+    .attr("cx", p => x(fromDecimalYear(p.date)))
+    .attr("cy", p => y(p.distance))
+    .attr("r", 3)
+    .attr("fill", "steelblue")
+    .attr("opacity", 0.7)
+    .on("mouseenter", (p, i, circles) => {
+      d3.select(circles[i]).attr("r", 5).attr("opacity", 1);
+      highlightNode.call(this, p.node, true);
+      this.trigger("showtooltip", p.node);
+    })
+    .on("mouseout", (p, i, circles) => {
+      d3.select(circles[i]).attr("r", 3).attr("opacity", 0.7);
+      highlightNode.call(this, p.node, false);
+      this.trigger("hidetooltip", p.node);
+    });
+
+  svg
+    .append("text")
+    .attr("class", "tidytree-root-to-tip-summary")
+    .attr("x", margin.left)
+    .attr("y", margin.top - 12)
+    .style("font-size", "12px")
+    .text(
+      `Rate: ${rate.toExponential(3)}   TMRCA: ${tmrca.toFixed(2)}   R²: ${r2.toFixed(3)}`
+    );
+}
+
+/**
+ * Shows or hides the legend for the color, size and shape mappings
+ * @param {Boolean} show Should the TidyTree show a legend?
+ * @return {TidyTree} The TidyTree Object
+ */
+TidyTree.prototype.setLegend = function (show) {
+  this.legend = show ? true : false;
+  if (this.parent) updateLegend.call(this);
+  return this;
+};
+
+/**
+ * Parses metadata given as text: a JSON array of objects, or a CSV or TSV
+ * table with a header row.
+ * @private
+ */
+function parseMetadata(text) {
+  text = text.trim();
+  if (text[0] === "[") return JSON.parse(text);
+  let header = text.split("\n", 1)[0];
+  return header.includes("\t") ? d3.tsvParse(text) : d3.csvParse(text);
+}
+
+/**
+ * Returns the attributes of a Branch: its annotations (if it was parsed from
+ * annotated Newick or NEXUS), overridden by its metadata record (if any).
+ * @private
+ */
+function nodeMetadata(branch) {
+  let row = this.metadata.get(branch.id);
+  if (!branch.annotations) return row;
+  return Object.assign({}, branch.annotations, row);
+}
+
+/**
+ * Returns the value of a mapping's attribute for a node, or undefined if the
+ * node doesn't have one.
+ * @private
+ */
+function mappedValue(mapping, d) {
+  let value = d.metadata ? d.metadata[mapping.attribute] : undefined;
+  if (value === undefined || value === null || value === "") return undefined;
+  return mapping.continuous ? +value : value;
+}
+
+/**
+ * (Re)builds the scale of every mapping from the current metadata. Attributes
+ * whose values are all numeric get continuous scales, others get categorical
+ * ones. Shapes are always categorical.
+ * @private
+ */
+function updateScales() {
+  Object.keys(this.mappings).forEach(channel => {
+    let mapping = this.mappings[channel],
+      options = mapping.options;
+    let rows = this.data ?
+      this.data.descendants().map(branch => nodeMetadata.call(this, branch)) :
+      Array.from(this.metadata.values());
+    let values = rows
+      .filter(row => row)
+      .map(row => row[mapping.attribute])
+      .filter(v => v !== undefined && v !== null && v !== "");
+    mapping.continuous = options.type ?
+      options.type === "continuous" :
+      channel !== "shape" && values.length > 0 && values.every(v => !isNaN(+v));
+    if (options.scale) {
+      mapping.scale = options.scale;
+    } else if (mapping.continuous) {
+      let extent = d3.extent(values, v => +v);
+      mapping.scale = channel === "color" ?
+        d3.scaleSequential(options.interpolator || d3.interpolateViridis).domain(extent) :
+        d3.scaleLinear().domain(extent).range(options.range || [2, 8]);
+    } else {
+      let domain = Array.from(new Set(values)).sort();
+      mapping.scale =
+        channel === "color" ? d3.scaleOrdinal(options.range || d3.schemeCategory10) :
+        channel === "shape" ? d3.scaleOrdinal(options.range || d3.symbols) :
+        d3.scalePoint().range(options.range || [2, 8]);
+      mapping.scale.domain(domain);
+    }
+  });
+}
+
+const circleSelector = "g.tidytree-node-internal circle, g.tidytree-node-leaf circle",
+  symbolSelector = "g.tidytree-node-internal path.tidytree-node-symbol, g.tidytree-node-leaf path.tidytree-node-symbol",
+  labelSelector = "g.tidytree-node-internal text, g.tidytree-node-leaf text";
+
+/**
+ * Styles the rendered tree according to the color, size and shape mappings.
+ * Only nodes with a value for the mapped attribute are touched.
+ * @private
+ */
+function applyMappings() {
+  let { color, size, shape } = this.mappings;
+  let circles = selectRendered.call(this, circleSelector),
+    symbols = selectRendered.call(this, symbolSelector),
+    labels = selectRendered.call(this, labelSelector),
+    paths = selectRendered.call(this, "g.tidytree-link path");
+  let has = mapping => d => mappedValue(mapping, d) !== undefined,
+    radius = d => size && has(size)(d) ? size.scale(mappedValue(size, d)) :
+      +ruleValue.call(this, isBranch(d) ? "branchNode" : "leafNode", "r", null, d) || 2.5;
+
+  if (color) {
+    let fill = d => color.scale(mappedValue(color, d)),
+      targets = color.options.targets || ["nodes", "labels", "branches"];
+    if (targets.includes("nodes")) {
+      circles.filter(has(color)).style("fill", fill);
+      symbols.filter(has(color)).style("fill", fill);
+    }
+    if (targets.includes("labels")) labels.filter(has(color)).style("fill", fill);
+    if (targets.includes("branches")) {
+      paths.filter(l => has(color)(l.target)).style("stroke", l => fill(l.target));
+    }
+  }
+  if (size) circles.filter(has(size)).attr("r", radius);
+  if (shape) {
+    circles.style("display", d => has(shape)(d) ? "none" : null);
+    symbols.attr("d", d => has(shape)(d) ?
+      d3.symbol().type(shape.scale(mappedValue(shape, d))).size(Math.PI * radius(d) ** 2)() :
+      null
+    );
+  }
+}
+
+/**
+ * Adds, replaces or removes the mapping for a channel, then restyles.
+ * @private
+ */
+function mapBy(channel, attribute, options) {
+  let previous = this.mappings[channel];
+  if (attribute === null || attribute === undefined) {
+    delete this.mappings[channel];
+  } else {
+    this.mappings[channel] = { attribute: attribute, options: options || {} };
+    updateScales.call(this);
+  }
+  if (!this.parent) return this;
+
+  //Undo whatever the previous mapping did before applying the new one
+  if (previous && channel === "color") {
+    selectRendered.call(this, [circleSelector, symbolSelector, labelSelector].join(", "))
+      .style("fill", null);
+    selectRendered.call(this, "g.tidytree-link path").style("stroke", null);
+  } else if (previous && channel === "size") {
+    selectRendered.call(this, circleSelector).attr("r", 2.5);
+  } else if (previous && channel === "shape") {
+    selectRendered.call(this, circleSelector).style("display", null);
+    selectRendered.call(this, symbolSelector).attr("d", null);
+  }
+  restyle.call(this);
+  updateLegend.call(this);
+  return this;
+}
+
+/**
+ * Attaches metadata to the tree's nodes. Each record is matched to the node
+ * whose id equals the record's `key` column, and is available as `metadata`
+ * on that node of the hierarchy (e.g. in event handlers).
+ * @param  {Array|String} rows An array of objects, or a string containing a
+ * JSON array of objects or a CSV or TSV table (with a header row)
+ * @param  {Object} [options] Options
+ * @param  {String} [options.key="id"] The column containing node ids
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setMetadata = function (rows, options) {
+  options = Object.assign({ key: "id" }, options);
+  if (typeof rows === "string") rows = parseMetadata(rows);
+  this.metadata = new Map();
+  rows.forEach(row => this.metadata.set(String(row[options.key]), row));
+  updateScales.call(this);
+  return rebuild.call(this);
+};
+
+/**
+ * Colors nodes, labels and branches by a metadata attribute. Branches take
+ * the color of the node they lead to. Numeric attributes get a sequential
+ * color scale, all others a categorical one.
+ * @param  {String} attribute The metadata column by which to color. Pass
+ * `null` to remove the coloring.
+ * @param  {Object} [options] Options
+ * @param  {String} [options.type] "categorical" or "continuous", if you don't
+ * want the type inferred from the data
+ * @param  {Function} [options.scale] A d3 scale to use instead of the default
+ * @param  {Function} [options.interpolator=d3.interpolateViridis] The color
+ * interpolator for continuous attributes
+ * @param  {Array} [options.range=d3.schemeCategory10] The colors for
+ * categorical attributes
+ * @param  {Array} [options.targets=["nodes", "labels", "branches"]] What to
+ * color
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.colorBy = function (attribute, options) {
+  return mapBy.call(this, "color", attribute, options);
+};
+
+/**
+ * Sizes nodes by a metadata attribute
+ * @param  {String} attribute The metadata column by which to size. Pass
+ * `null` to remove the sizing.
+ * @param  {Object} [options] Options
+ * @param  {String} [options.type] "categorical" or "continuous", if you don't
+ * want the type inferred from the data
+ * @param  {Function} [options.scale] A d3 scale to use instead of the default
+ * @param  {Array} [options.range=[2, 8]] The smallest and largest radii
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.sizeBy = function (attribute, options) {
+  return mapBy.call(this, "size", attribute, options);
+};
+
+/**
+ * Shapes nodes by a (categorical) metadata attribute
+ * @param  {String} attribute The metadata column by which to shape. Pass
+ * `null` to go back to circles.
+ * @param  {Object} [options] Options
+ * @param  {Function} [options.scale] A d3 scale to use instead of the default
+ * @param  {Array} [options.range=d3.symbols] The d3 symbol types to use
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.shapeBy = function (attribute, options) {
+  return mapBy.call(this, "shape", attribute, options);
+};
+
+/**
+ * Resolves a hierarchy node (as passed to event handlers) or a
+ * patristic.Branch to the underlying Branch
+ * @private
+ */
+function toBranch(node) {
+  return node instanceof patristic.Branch ? node : node.data;
+}
+
+/**
+ * Collapses a clade, so that its subtree is drawn as a single wedge. Click on
+ * the wedge to expand the clade again.
+ * @param  {Object} node The root of the clade to collapse. May be either a
+ * node of the TidyTree's hierarchy or a patristic.Branch.
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.collapse = function (node) {
+  this.collapsed.add(toBranch(node)._guid);
+  return rebuild.call(this);
+};
+
+/**
+ * Expands a collapsed clade
+ * @param  {Object} node The root of the clade to expand. May be either a node
+ * of the TidyTree's hierarchy or a patristic.Branch.
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.expand = function (node) {
+  this.collapsed.delete(toBranch(node)._guid);
+  return rebuild.call(this);
+};
+
+/**
+ * Expands every collapsed clade
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.expandAll = function () {
+  this.collapsed.clear();
+  return rebuild.call(this);
+};
+
+/**
+ * Collapses every clade for which `test` returns a truthy value. Clades which
+ * are already collapsed stay collapsed.
+ * @param  {Function} test A function which takes a node of the (fully
+ * expanded) hierarchy and returns a Truthy or Falsy value.
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.collapseWhere = function (test) {
+  d3.hierarchy(this.data, d => d.children).each(d => {
+    if (d.parent && d.children && test(d)) this.collapsed.add(d.data._guid);
+  });
+  return rebuild.call(this);
+};
+
+/**
+ * Shows the tree down to a given depth, collapsing every clade rooted at that
+ * depth and expanding everything above it.
+ * @param  {Number} depth The depth (in branches from the root) at which to
+ * collapse clades
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.collapseToDepth = function (depth) {
+  this.collapsed.clear();
+  return this.collapseWhere(d => d.depth === depth);
+};
+
+/**
+ * The available brushes for selecting nodes by shift-dragging over them.
+ * @type {Array}
+ */
+TidyTree.validBrushes = ["rectangle", "lasso"];
+
+/**
+ * Styles the selected nodes and search matches. Selected nodes' glyphs get a
+ * blue ring and their labels are bolded, and matches' glyphs get a red ring
+ * (thicker for the current match) and are shown even where nodes are hidden.
+ * In the SVG renderer their groups also get the classes `tidytree-selected`
+ * and `tidytree-match`.
+ * @private
+ */
+function applySelection() {
+  if (!this.parent) return;
+  let selected = d => this.selection.has(d.data._guid),
+    matched = d => this.matches.has(d.data._guid),
+    current = d => this.currentMatch === d.data._guid;
+  selectRendered.call(this, [circleSelector, symbolSelector].join(", "))
+    .style("stroke", orRule(this, "Node", "stroke", d =>
+      selected(d) ? "#00bfff" : matched(d) ? "red" : null
+    ))
+    .style("stroke-width", orRule(this, "Node", "stroke-width", d =>
+      current(d) ? 3 : selected(d) || matched(d) ? 2 : null
+    ))
+    .style("opacity", d =>
+      matched(d) || (isBranch(d) && this.branchNodes) || (!isBranch(d) && this.leafNodes) ? 1 : 0
+    );
+  selectRendered.call(this, labelSelector)
+    .style("font-weight", orRule(this, "Label", "font-weight", d => selected(d) ? "bold" : null));
+  if (this.renderer === "svg") {
+    this.parent
+      .selectAll("g.tidytree-node")
+      .classed("tidytree-selected", selected)
+      .classed("tidytree-match", matched);
+  }
+}
+
+/**
+ * Restyles the selection and tells the `select` listeners about it.
+ * @private
+ */
+function selectionChanged() {
+  applySelection.call(this);
+  this.trigger("select", this.getSelection());
+  return this;
+}
+
+/**
+ * Handles a click on a node: a plain click selects only that node, a
+ * shift-click adds it to (or removes it from) the selection.
+ * @private
+ */
+function clickSelect(d) {
+  if (d3.event.shiftKey && this.selection.has(d.data._guid)) {
+    this.selection.delete(d.data._guid);
+    selectionChanged.call(this);
+  } else {
+    this.select(d, { add: d3.event.shiftKey });
+  }
+}
+
+/**
+ * Finds the nodes of the hierarchy (including those in collapsed clades)
+ * that match a node, Branch, id or _guid, an array of these, or a test.
+ * @private
+ */
+function findNodes(nodes) {
+  let all = allNodes(this.hierarchy);
+  if (typeof nodes === "function") return all.filter(nodes);
+  let keys = new Set(
+    [].concat(nodes)
+      .filter(n => n !== null && n !== undefined)
+      .map(n => typeof n === "string" ? n : n instanceof patristic.Branch ? n._guid : n.data._guid)
+  );
+  return all.filter(d => keys.has(d.data._guid) || (d.data.id && keys.has(d.data.id)));
+}
+
+/**
+ * Selects nodes. The selection is styled consistently across renderers,
+ * survives `redraw` and `setData` (nodes are matched by _guid or id), and is
+ * passed in full to the `select` event whenever it changes. Users can also
+ * select nodes by clicking them (shift-click to add or remove), and by
+ * shift-dragging a brush (see `setBrush`) over them.
+ * @param  {(Object|String|Array|Function)} nodes A node of the hierarchy, a
+ * patristic.Branch, an id or _guid, an array of these, or a function which
+ * takes a node of the hierarchy and returns whether to select it
+ * @param  {Object} [options] Options
+ * @param  {Boolean} [options.add=false] Whether to add to the current
+ * selection instead of replacing it
+ * @param  {Boolean} [options.clade=false] Whether to select the nodes'
+ * descendants too
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.select = function (nodes, options) {
+  options = Object.assign({ add: false, clade: false }, options);
+  let found = findNodes.call(this, nodes);
+  if (options.clade) found = [].concat(...found.map(allNodes));
+  if (!options.add) this.selection.clear();
+  found.forEach(d => this.selection.set(d.data._guid, d.data.id));
+  return selectionChanged.call(this);
+};
 
+/**
+ * Selects a node and all of its descendants
+ * @param  {(Object|String)} node A node of the hierarchy, a patristic.Branch,
+ * or an id or _guid
+ * @param  {Object} [options] Options
+ * @param  {Boolean} [options.add=false] Whether to add to the current
+ * selection instead of replacing it
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.selectClade = function (node, options) {
+  return this.select(node, Object.assign({}, options, { clade: true }));
+};
+
+/**
+ * Returns the selected nodes
+ * @return {Array} The selected nodes of the hierarchy, in pre-order
+ */
+TidyTree.prototype.getSelection = function () {
+  return allNodes(this.hierarchy).filter(d => this.selection.has(d.data._guid));
+};
+
+/**
+ * Deselects all nodes
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.clearSelection = function () {
+  this.selection.clear();
+  return selectionChanged.call(this);
+};
+
+/**
+ * Sets the shape users drag (with the shift key held) to select nodes
+ * @param  {String} brush One of the valid brushes ("rectangle" or "lasso"),
+ * or `null` to turn brushing off
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.setBrush = function (brush) {
+  if (brush && !TidyTree.validBrushes.includes(brush)) {
+    throw Error(`
+      Cannot set TidyTree to brush: ${brush},\n
+      Valid brushes are: ${TidyTree.validBrushes.join(', ')}
+    `);
+  }
+  this.brush = brush || null;
   return this;
 };
 
-function updateRuler(transform) {
-  if (!transform) transform = { k: 1 };
-  let height = parseFloat(this.parent.style("height")) - this.margin[2] - 15;
-  let ruler = this.parent.select("g.tidytree-ruler");
-  let bg = ruler.select("rect");
-  if (this.ruler) {
-    if (this.layout == "horizontal") {
-      ruler.attr("transform", `translate(${this.margin[3]}, ${height})`);
-      bg
-        .attr("width", `calc(100% - ${this.margin[1] + this.margin[3] - 15}px)`)
-        .attr("height", "25px")
-        .attr("x", -5);
+/**
+ * Finds the Branch for a node, Branch, id or _guid, or throws.
+ * @private
+ */
+function findBranch(node) {
+  let found = findNodes.call(this, node)[0];
+  if (!found) throw Error(`Cannot find node: ${node}`);
+  return found.data;
+}
+
+/**
+ * Sets the data after an edit, and tells the `change` listeners about it.
+ * Since nodes keep their _guids through edits, the redraw morphs every node
+ * and link from its old position to its new one.
+ * @private
+ */
+function edited(action, root, nodes) {
+  this.setData(root);
+  this.trigger("change", { action: action, nodes: nodes || [] });
+  return this;
+}
+
+/**
+ * Reroots the tree on a node
+ * @param  {(Object|String)} node A node of the hierarchy, a patristic.Branch,
+ * or an id or _guid
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.reroot = function (node) {
+  let branch = findBranch.call(this, node);
+  return edited.call(this, "reroot", branch.reroot(), [branch]);
+};
+
+/**
+ * Reverses the order of a node's children
+ * @param  {(Object|String)} node A node of the hierarchy, a patristic.Branch,
+ * or an id or _guid
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.rotate = function (node) {
+  let branch = findBranch.call(this, node);
+  branch.rotate();
+  return edited.call(this, "rotate", this.data, [branch]);
+};
+
+/**
+ * Reverses the order of the children of a node and all of its descendants
+ * @param  {(Object|String)} [node] A node of the hierarchy, a
+ * patristic.Branch, or an id or _guid. Defaults to the root.
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.flip = function (node) {
+  let branch = node === undefined ? this.data : findBranch.call(this, node);
+  branch.flip();
+  return edited.call(this, "flip", this.data, [branch]);
+};
+
+/**
+ * Orders every node's children by the number of leaves they contain, giving
+ * the tree a tidy, staircase-like shape
+ * @param  {String} [direction="ascending"] "ascending" to put the smallest
+ * clades first, or "descending" to put the largest first
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.ladderize = function (direction) {
+  if (direction && direction !== "ascending" && direction !== "descending") {
+    throw Error(`Cannot ladderize TidyTree in direction: ${direction}, use "ascending" or "descending"`);
+  }
+  let sign = direction === "descending" ? -1 : 1,
+    leafCounts = new Map();
+  this.data.eachAfter(b => {
+    leafCounts.set(b, b.children.length ? d3.sum(b.children, c => leafCounts.get(c)) : 1);
+  });
+  this.data.eachBefore(b => {
+    b.children.sort((a, c) => sign * (leafCounts.get(a) - leafCounts.get(c)));
+  });
+  return edited.call(this, "ladderize", this.data, [this.data]);
+};
+
+/**
+ * Removes nodes (and their descendants) from the tree. Internal nodes left
+ * with a single child are excised, so their child's branch absorbs theirs.
+ * @param  {(Object|String|Array|Function)} nodes A node of the hierarchy, a
+ * patristic.Branch, an id or _guid, an array of these, or a test (as in
+ * `select`)
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.prune = function (nodes) {
+  let branches = findNodes.call(this, nodes).map(d => d.data),
+    root = this.data;
+  branches.forEach(branch => {
+    //Skip anything already pruned along with an ancestor
+    if (branch.isRoot() || branch.getRoot() !== root) return;
+    let parent = branch.parent;
+    branch.isolate();
+    if (parent.children.length !== 1) return;
+    if (parent.isRoot()) {
+      let child = parent.children[0];
+      child.setParent(null);
+      root = child;
     } else {
-      ruler.attr("transform", `translate(${this.margin[3] - 10}, ${this.margin[0]})`);
-      bg
-        .attr("height", `calc(100% - ${this.margin[0] + this.margin[2] - 15}px)`)
-        .attr("width", "25px")
-        .attr("x", -25);
+      parent.excise();
     }
-    let axis = this.layout == "horizontal" ? d3.axisBottom() : d3.axisLeft();
-    if (this.type === "tree" && this.layout !== "circular") {
-      ruler
-        .attr("opacity", 1)
-        .call(
-          axis.scale(
-            d3.scaleLinear(
-              [0, this.hierarchy.height / transform.k],
-              [0, this.scalar]
-            )
-          )
-        );
-    } else if (this.type === "weighted" && this.layout !== "circular") {
-      ruler
-        .attr("opacity", 1)
-        .call(
-          axis.scale(
-            d3.scaleLinear(
-              [this.range[0], this.range[1] / transform.k],
-              [0, this.scalar]
-            )
-          )
-        );
-    } else {
-      ruler
-        .transition()
-        .duration(this.animation)
-        .attr("opacity", 0);
+  });
+  return edited.call(this, "prune", root.fixDistances(), branches);
+};
+
+/**
+ * Discards everything but a node and its descendants, making it the root
+ * @param  {(Object|String)} node A node of the hierarchy, a patristic.Branch,
+ * or an id or _guid
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.isolate = function (node) {
+  let branch = findBranch.call(this, node);
+  if (!branch.isRoot()) branch.isolate();
+  return edited.call(this, "isolate", branch.fixDistances(), [branch]);
+};
+
+/**
+ * Collapses internal branches shorter than a threshold into polytomies.
+ * Descendants' branches absorb the lengths of the branches removed, so
+ * root-to-tip distances are unchanged.
+ * @param  {Number} [threshold=0.0005] The length below which to collapse
+ * branches
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.collapseShortBranches = function (threshold) {
+  if (threshold === undefined) threshold = 0.0005;
+  let short = this.data
+    .getDescendants()
+    .filter(b => b.children.length && b.length < threshold);
+  short.forEach(b => b.excise());
+  return edited.call(this, "collapseShortBranches", this.data.fixDistances(), short);
+};
+
+/**
+ * Returns the distance from a Branch to every leaf of its tree, walking the
+ * tree as though it were unrooted.
+ * @private
+ */
+function leafDistances(from) {
+  let distances = new Map(),
+    stack = [[from, null, 0]];
+  while (stack.length) {
+    let [branch, previous, distance] = stack.pop();
+    if (!branch.children.length) distances.set(branch, distance);
+    branch.children.forEach(child => {
+      if (child !== previous) stack.push([child, branch, distance + child.length]);
+    });
+    if (branch.parent && branch.parent !== previous) {
+      stack.push([branch.parent, branch, distance + branch.length]);
     }
-  } else {
-    ruler
-      .transition()
-      .duration(this.animation)
-      .attr("opacity", 0);
   }
+  return distances;
 }
 
 /**
- * Recenters the tree in the center of the view
- * @return {TidyTree} The TidyTree object
+ * Returns the length of the branch above a Branch in the unrooted tree. A
+ * bifurcating root sits partway along a branch, which its two children share.
+ * @private
  */
-TidyTree.prototype.recenter = function () {
-  let svg = this.parent.select("svg"),
-    x = this.margin[0],
-    y = this.margin[3];
-  if (this.layout === "circular") {
-    x += parseFloat(svg.style("width")) / 2;
-    y += parseFloat(svg.style("height")) / 2;
+function unrootedLength(branch) {
+  let parent = branch.parent;
+  if (!parent) return 0;
+  if (parent.isRoot() && parent.children.length === 2) {
+    return d3.sum(parent.children, c => c.length);
   }
-  svg
-    .transition()
-    .duration(this.animation)
-    .call(this.zoom.transform, d3.zoomIdentity.translate(x, y));
-  return this;
-};
+  return branch.length;
+}
 
 /**
- * Set the TidyTree's layout
- * @param {String} newLayout The new layout
- * @return {TidyTree} The TidyTree Object
+ * Roots the tree on the branch above a Branch, at some distance up it from
+ * the Branch. Nodes left with a single child by rerooting are excised.
+ * @private
+ * @return {patristic.Branch} The new root
  */
-TidyTree.prototype.setLayout = function (newLayout) {
-  if (!TidyTree.validLayouts.includes(newLayout)) {
+function rootOnBranch(branch, distance) {
+  let parent = branch.parent;
+  if (!parent) return branch;
+  let length = unrootedLength(branch);
+  distance = Math.max(0, Math.min(length, distance));
+  if (length !== branch.length) parent.children.forEach(c => (c.length = 0));
+  parent.reroot();
+  parent.children.splice(parent.children.indexOf(branch), 1);
+  let root = new patristic.Branch();
+  root.addChild(branch);
+  root.addChild(parent);
+  branch.length = distance;
+  parent.length = length - distance;
+  root.getDescendants().forEach(b => {
+    if (b.children.length === 1) b.excise();
+  });
+  return root.fixDistances();
+}
+
+/**
+ * Finds the midpoint of the longest path between two leaves.
+ * @private
+ */
+function midpointRoot(root) {
+  let farthest = from => {
+    let best = [from, 0];
+    leafDistances(from).forEach((distance, leaf) => {
+      if (distance > best[1]) best = [leaf, distance];
+    });
+    return best;
+  };
+  let [a] = farthest(root.getLeaves()[0]),
+    [b, diameter] = farthest(a);
+  if (!diameter) return root;
+  let mrca = a.getMRCA(b),
+    half = diameter / 2,
+    toMRCA = branch => {
+      let distance = 0;
+      for (; branch !== mrca; branch = branch.parent) distance += branch.length;
+      return distance;
+    };
+  //Walk up from whichever end the midpoint is above
+  let branch = toMRCA(a) >= half ? a : b,
+    walked = 0;
+  while (walked + branch.length < half) {
+    walked += branch.length;
+    branch = branch.parent;
+  }
+  return rootOnBranch(branch, half - walked);
+}
+
+/**
+ * Roots the tree halfway along the branch leading to an outgroup.
+ * @private
+ */
+function outgroupRoot(outgroup) {
+  let branches = findNodes.call(this, outgroup).map(d => d.data);
+  if (!branches.length) throw Error(`Cannot find outgroup: ${outgroup}`);
+  let leaves = new Set();
+  branches.forEach(b => b.getLeaves().forEach(l => leaves.add(l)));
+  let branch = branches.reduce((a, b) => a.getMRCA(b));
+  if (branch.isRoot()) {
+    //The outgroup straddles the root, so it's monophyletic (in the unrooted
+    //tree) only if the rest of the tips form a clade, whose branch is its own
+    let ingroup = this.data.getLeaves().filter(l => !leaves.has(l));
+    if (!ingroup.length) throw Error("Cannot root on an outgroup containing every tip");
+    branch = ingroup.reduce((a, b) => a.getMRCA(b));
+    if (branch.isRoot() || branch.getLeaves().length !== ingroup.length) {
+      throw Error("Cannot root on an outgroup that isn't monophyletic");
+    }
+  }
+  return rootOnBranch(branch, unrootedLength(branch) / 2);
+}
+
+/**
+ * Finds the root which maximizes the correlation between root-to-tip distance
+ * and tip date, as TempEst does. Moving the root a distance `t` along a branch
+ * adds `t` to the root-to-tip distance of the tips below it and subtracts `t`
+ * from the rest, so the correlation has at most one turning point on each
+ * branch, which can be solved for directly.
+ * @private
+ */
+function bestFitRoot(options) {
+  let dates = new Map();
+  tipDates.call(this, options).forEach((date, d) => dates.set(d.data, date));
+  if (dates.size < 3) {
+    throw Error("Cannot find the best-fitting root: fewer than three tips have dates");
+  }
+  let tips = Array.from(dates.keys()),
+    mx = d3.mean(tips, t => dates.get(t)),
+    x = tips.map(t => dates.get(t) - mx),
+    best = { correlation: -Infinity };
+  this.data.getDescendants().forEach(branch => {
+    let distances = leafDistances(branch),
+      below = new Set(branch.getLeaves()),
+      y = tips.map(t => distances.get(t)),
+      s = tips.map(t => (below.has(t) ? 1 : -1)),
+      my = d3.mean(y),
+      ms = d3.mean(s);
+    let c0 = 0, c1 = 0, v0 = 0, v1 = 0, v2 = 0;
+    tips.forEach((t, i) => {
+      let dy = y[i] - my,
+        ds = s[i] - ms;
+      c0 += dy * x[i];
+      c1 += ds * x[i];
+      v0 += dy * dy;
+      v1 += dy * ds;
+      v2 += ds * ds;
+    });
+    let correlation = t => (c0 + c1 * t) / Math.sqrt(v0 + 2 * v1 * t + v2 * t * t),
+      turn = (c0 * v1 - c1 * v0) / (c1 * v1 - c0 * v2),
+      candidates = [0, branch.length];
+    if (turn > 0 && turn < branch.length) candidates.push(turn);
+    candidates.forEach(t => {
+      let r = correlation(t);
+      if (r > best.correlation) best = { correlation: r, branch: branch, distance: t };
+    });
+  });
+  if (!best.branch) throw Error("Cannot find the best-fitting root");
+  return rootOnBranch(best.branch, best.distance);
+}
+
+/**
+ * Reroots the tree by some criterion, placing the new root on a branch
+ * rather than a node
+ * @param  {(String|Object)} strategy "midpoint" to root halfway along the
+ * longest path between two leaves, "best-fit" to root where root-to-tip
+ * distance correlates best with tip date (see `rootToTip`), or
+ * `{outgroup: nodes}` to root on the branch leading to the most recent common
+ * ancestor of some nodes (given as for `select`)
+ * @param  {Object} [options] For "best-fit", the options for `rootToTip`
+ * saying where to find tip dates
+ * @return {TidyTree} the TidyTree object
+ */
+TidyTree.prototype.rootAt = function (strategy, options) {
+  let root;
+  if (strategy === "midpoint") {
+    root = midpointRoot(this.data);
+  } else if (strategy === "best-fit") {
+    root = bestFitRoot.call(this, options);
+  } else if (strategy && strategy.outgroup) {
+    root = outgroupRoot.call(this, strategy.outgroup);
+  } else {
     throw Error(`
-      Cannot set TidyTree to layout: ${newLayout}\n
-      Valid layouts are: ${TidyTree.validLayouts.join(', ')}
+      Cannot root TidyTree at: ${JSON.stringify(strategy)},
+
+      Use "midpoint", "best-fit" or {outgroup: [ids]}
     `);
   }
-  this.layout = newLayout;
-  if (this.parent) return this.redraw();
-  return this;
+  return edited.call(this, "rootAt", root, [root]);
 };
 
 /**
- * Set the TidyTree's mode
- * @param {String} newMode The new mode
- * @return {TidyTree} The TidyTree object
+ * Matches attribute queries like `country == "US"` or `posterior >= 0.9`
+ * @private
  */
-TidyTree.prototype.setMode = function (newMode) {
-  if (!TidyTree.validModes.includes(newMode)) {
-    throw Error(`
-      Cannot set TidyTree to mode: ${newMode},\n
-      Valid modes are: ${TidyTree.validModes.join(', ')}
-    `);
+const attributeQuery = /^\s*([\w.-]+)\s*(==|!=|>=|<=|>|<|=~)\s*(?:"([^"]*)"|'([^']*)'|(.+?))\s*$/;
+
+/**
+ * Whether the characters of a query appear, in order, in some text
+ * @private
+ */
+function fuzzyMatch(query, text) {
+  let i = 0;
+  for (let c of text) if (c === query[i]) i++;
+  return i === query.length;
+}
+
+/**
+ * Turns a search query into a test of hierarchy nodes.
+ * @private
+ */
+function matcher(query, options) {
+  if (typeof query === "function") return query;
+  let caseSensitive = options.caseSensitive,
+    value = (d, attribute) => {
+      if (!attribute || attribute === "id") return d.data.id;
+      return d.metadata ? d.metadata[attribute] : undefined;
+    },
+    text = (d, raw) => {
+      let v = value(d, options.attribute);
+      v = v === undefined || v === null ? "" : String(v);
+      return caseSensitive || raw ? v : v.toLowerCase();
+    };
+  let regex = (source, flags) => {
+    if (!caseSensitive && !flags.includes("i")) flags += "i";
+    let pattern = new RegExp(source, flags.replace("g", ""));
+    //Test the text as it is, since the pattern itself may have capitals
+    return d => pattern.test(text(d, true));
+  };
+  if (query instanceof RegExp) return regex(query.source, query.flags);
+  query = String(query);
+  let mode = options.mode;
+  if (!mode) {
+    mode = /^\/.+\/[a-z]*$/.test(query) ? "regex" : attributeQuery.test(query) ? "attribute" : "substring";
   }
-  this.mode = newMode;
-  if (this.parent) return this.redraw();
-  return this;
+  if (mode === "regex") {
+    let [, source, flags] = query.match(/^\/(.+)\/([a-z]*)$/) || [null, query, ""];
+    return regex(source, flags);
+  }
+  if (mode === "attribute") {
+    let match = query.match(attributeQuery);
+    if (!match) throw Error(`Cannot parse attribute query: ${query}`);
+    let [, attribute, operator] = match,
+      target = [match[3], match[4], match[5]].find(v => v !== undefined),
+      numeric = target !== "" && !isNaN(target),
+      pattern = operator === "=~" ? new RegExp(target, caseSensitive ? "" : "i") : null;
+    return d => {
+      let v = value(d, attribute);
+      if (v === undefined || v === null || v === "") return false;
+      if (pattern) return pattern.test(String(v));
+      let a = numeric && !isNaN(v) ? +v : String(v),
+        b = numeric && !isNaN(v) ? +target : target;
+      switch (operator) {
+        case "==": return a == b;
+        case "!=": return a != b;
+        case ">=": return a >= b;
+        case "<=": return a <= b;
+        case ">": return a > b;
+        case "<": return a < b;
+      }
+    };
+  }
+  if (!caseSensitive) query = query.toLowerCase();
+  if (mode === "fuzzy") return d => fuzzyMatch(query, text(d));
+  if (mode === "substring") return d => text(d).includes(query);
+  throw Error(`
+    Cannot search TidyTree in mode: ${mode},
+
+    Valid modes are: substring, regex, fuzzy, attribute
+  `);
+}
+
+/**
+ * Returns the current matches, as nodes of the hierarchy in pre-order.
+ * @private
+ */
+function matchedNodes() {
+  return allNodes(this.hierarchy).filter(d => this.matches.has(d.data._guid));
+}
+
+/**
+ * Restyles the matches and tells the `search` listeners about them.
+ * @private
+ */
+function matchesChanged() {
+  applySelection.call(this);
+  let matches = matchedNodes.call(this);
+  this.trigger("search", {
+    matches: matches,
+    index: matches.findIndex(d => d.data._guid === this.currentMatch)
+  });
+  return matches;
+}
+
+/**
+ * Searches the tree's nodes (including those in collapsed clades). This works
+ * on the data, so it doesn't need the tree to have been drawn.
+ * @param  {(String|RegExp|Function)} query What to search for: text to find
+ * in node names, a RegExp (or a string like "/^A\d+/i"), an attribute query
+ * like `country == "US"` or `posterior >= 0.9` (with `==`, `!=`, `<`, `<=`,
+ * `>`, `>=`, or `=~` for a regular expression), or a function which takes a
+ * node of the hierarchy and returns a truthy or falsy value. Pass `null` to
+ * clear the search.
+ * @param  {Object} [options] Options
+ * @param  {String} [options.mode] "substring", "regex", "fuzzy" (the query's
+ * characters appear in order, like "hsp" in "H.sapiens") or "attribute".
+ * Inferred from the query if omitted.
+ * @param  {String} [options.attribute="id"] The attribute to search, for
+ * queries that don't name one
+ * @param  {Boolean} [options.caseSensitive=false] Should case matter?
+ * @param  {Boolean} [options.highlight=true] Should the matches be ringed in
+ * red (and shown even where nodes are hidden)?
+ * @param  {Boolean} [options.expand=false] Should collapsed clades hiding
+ * matches be expanded?
+ * @return {Array} The matching nodes of the hierarchy
+ */
+TidyTree.prototype.search = function (query, options) {
+  options = Object.assign({ highlight: true, expand: false }, options);
+  if (query === null || query === undefined || query === "") {
+    this.clearSearch();
+    return [];
+  }
+  let test = matcher(query, options),
+    found = allNodes(this.hierarchy).filter(test);
+  if (options.expand) {
+    let collapsed = this.collapsed.size;
+    found.forEach(d => {
+      for (let a = d.parent; a; a = a.parent) this.collapsed.delete(a.data._guid);
+    });
+    if (this.collapsed.size !== collapsed) rebuild.call(this);
+  }
+  //Expanding rebuilds the hierarchy, so look the matches up again by _guid
+  let guids = new Set(found.map(d => d.data._guid));
+  if (!options.highlight) return allNodes(this.hierarchy).filter(d => guids.has(d.data._guid));
+  this.matches = guids;
+  this.currentMatch = null;
+  return matchesChanged.call(this);
 };
 
 /**
- * Set the TidyTree's type
- * @param {Boolean} newType The new type
+ * Forgets the current search, removing its highlights
  * @return {TidyTree} the TidyTree object
  */
-TidyTree.prototype.setType = function (newType) {
-  if (!TidyTree.validTypes.includes(newType)) {
-    throw Error(`
-      Cannot set TidyTree to type: ${newType},\n
-      Valid types are: ${TidyTree.validTypes.join(', ')}
-    `);
-  }
-  this.type = newType;
-  if (this.parent) return this.redraw();
+TidyTree.prototype.clearSearch = function () {
+  this.matches = new Set();
+  this.currentMatch = null;
+  matchesChanged.call(this);
   return this;
 };
 
 /**
- * Set the TidyTree's rotation
- * @param {Number} degrees The new number of degrees by which to rotate the tree
- * @return {TidyTree} the TidyTree object
+ * Steps through the matches of the last search, wrapping around at the ends.
+ * @private
+ */
+function stepMatch(step) {
+  let matches = matchedNodes.call(this);
+  if (!matches.length) return undefined;
+  let index = matches.findIndex(d => d.data._guid === this.currentMatch);
+  index = index < 0 ? (step > 0 ? 0 : matches.length - 1) :
+    (index + step + matches.length) % matches.length;
+  let match = matches[index];
+  this.currentMatch = match.data._guid;
+  this.zoomTo(match);
+  matchesChanged.call(this);
+  return match;
+}
+
+/**
+ * Moves on to the next match of the last search, panning and zooming to it
+ * @return {Object} The match (a node of the hierarchy), if there are any
+ */
+TidyTree.prototype.nextMatch = function () {
+  return stepMatch.call(this, 1);
+};
+
+/**
+ * Moves back to the previous match of the last search, panning and zooming to
+ * it
+ * @return {Object} The match (a node of the hierarchy), if there are any
+ */
+TidyTree.prototype.previousMatch = function () {
+  return stepMatch.call(this, -1);
+};
+
+/**
+ * Renders the tree into a standalone SVG document without touching the live
+ * view (if there is one). The whole tree is framed, whatever the live view's
+ * zoom, along with the ruler, scale bar and legend if they're shown. This
+ * doesn't require a parent element, so it can be used on a server or in a
+ * batch job. In Node, pass in a `document` from a DOM implementation such as
+ * jsdom, and make sure `d3` is available globally.
+ * @param  {Object} [options] Rendering options
+ * @param  {Number} [options.width=800] The width of the SVG, in pixels
+ * @param  {Number} [options.height=600] The height of the SVG, in pixels
+ * @param  {Boolean} [options.fitToContent=false] Crop the SVG to what's drawn
+ * (plus `padding`), and scale that to `width`. The height then follows from
+ * the tree's proportions, and `height` only shapes the layout.
+ * @param  {Number} [options.padding=10] The space left around the content by
+ * `fitToContent`, in pixels
+ * @param  {Boolean} [options.embedFonts=false] Carry the page's font over
+ * to the SVG, embedding the `@font-face` rules for the fonts used along with
+ * the font files themselves (as data URLs), so text looks the same wherever
+ * the SVG ends up. Since the font files have to be fetched, `toSVG` then
+ * returns a Promise of the SVG.
+ * @param  {Document} [options.document] The document with which to create
+ * elements. Defaults to the global `document`.
+ * @return {(String|Promise)} The serialized SVG, or with `embedFonts` a
+ * Promise of it
+ */
+TidyTree.prototype.toSVG = function (options) {
+  let svg = exportSVG.call(this, options);
+  if (!options || !options.embedFonts) return serializeXML(svg.node());
+  return inlineFonts(svg, svg.node().ownerDocument.defaultView).then(() => serializeXML(svg.node()));
+};
+
+/**
+ * Serializes an element, with the XMLSerializer of its document's window or,
+ * for documents without one, the global one or failing that `outerHTML`
+ * @private
+ */
+function serializeXML(node) {
+  let view = node.ownerDocument.defaultView,
+    Serializer = view && view.XMLSerializer ? view.XMLSerializer :
+      typeof XMLSerializer === "undefined" ? null : XMLSerializer;
+  return Serializer ? new Serializer().serializeToString(node) : node.outerHTML;
+}
+
+/**
+ * Renders a shadow of the tree into a detached SVG, for `toSVG` and friends
+ * @private
+ */
+function exportSVG(options) {
+  options = Object.assign({
+    width: 800,
+    height: 600,
+    padding: 10,
+    document: typeof document === "undefined" ? null : document
+  }, options);
+  let doc = options.document;
+  if (!doc) throw Error("No document available! Pass one in as `options.document`.");
+
+  //Render a shadow of this tree, with copies of just what makes up the view,
+  //so the live view (and anything hooked up to it) is left untouched
+  let view = {
+    headless: true,
+    renderer: "svg",
+    size: [options.width, options.height],
+    animation: 0,
+    historyLimit: 0
+  };
+  redrawnState.concat(setterState, ["tipDatePattern"]).forEach(key => (view[key] = this[key]));
+  let shadow = new TidyTree(this.data, view);
+  Object.assign(shadow, {
+    metadata: this.metadata,
+    mappings: this.mappings,
+    styles: this.styles,
+    collapsed: new Set(this.collapsed),
+    selection: new Map(this.selection),
+    matches: new Set(this.matches),
+    currentMatch: this.currentMatch
+  });
+  shadow.draw(doc.createElement("div"));
+  rebuild.call(shadow);
+  shadow.recenter();
+
+  let svg = shadow.parent.select("svg").attr("xmlns", "http://www.w3.org/2000/svg"),
+    width = options.width,
+    height = options.height,
+    box = [0, 0, width, height];
+  if (options.fitToContent) {
+    let [x0, y0, x1, y1] = svgBounds(svg.node()),
+      padding = options.padding;
+    box = [x0 - padding, y0 - padding, x1 - x0 + 2 * padding, y1 - y0 + 2 * padding];
+    height = (width * box[3]) / box[2];
+  }
+  svg
+    .attr("width", width)
+    .attr("height", height)
+    .attr("viewBox", box.join(" "));
+
+  //Not every viewer paints the background of the SVG element itself
+  let background = currentTheme.call(this).background;
+  if (background) {
+    svg
+      .insert("rect", ":first-child")
+      .attr("x", box[0])
+      .attr("y", box[1])
+      .attr("width", box[2])
+      .attr("height", box[3])
+      .attr("fill", background);
+  }
+  if (options.embedFonts) copyFontFaces.call(this, svg, doc);
+  return svg;
+}
+
+/**
+ * Gives an exported SVG the live view's font, and the `@font-face` rules of
+ * the document's stylesheets for the fonts it uses (with their URLs made
+ * absolute, for `inlineFonts` to fetch)
+ * @private
+ */
+function copyFontFaces(svg, doc) {
+  let view = doc.defaultView;
+  if (this.parent && view && view.getComputedStyle) {
+    svg.style("font-family", view.getComputedStyle(this.parent.node()).fontFamily);
+  }
+  let families = new Set(),
+    addFamilies = list => list && list.split(",").forEach(family =>
+      families.add(family.replace(/["']/g, "").trim().toLowerCase())
+    );
+  svg.selectAll("*").each(function () {
+    addFamilies(this.getAttribute("font-family"));
+    addFamilies(this.style && this.style.getPropertyValue("font-family"));
+  });
+  addFamilies(svg.style("font-family"));
+
+  let rules = [];
+  Array.from(doc.styleSheets || []).forEach(sheet => {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch (e) {
+      return; //Cross-origin stylesheets can't be read
+    }
+    Array.from(cssRules || []).forEach(rule => {
+      if (!rule.style || !/^@font-face/i.test(rule.cssText)) return;
+      let family = rule.style.getPropertyValue("font-family").replace(/["']/g, "").trim().toLowerCase();
+      if (!families.has(family)) return;
+      //The SVG could end up anywhere, so URLs relative to the stylesheet won't do
+      rules.push(rule.cssText.replace(/url\((["']?)([^"')]+)\1\)/g, (match, quote, url) =>
+        `url("${new URL(url, sheet.href || doc.baseURI).href}")`
+      ));
+    });
+  });
+  if (rules.length) svg.insert("defs", ":first-child").append("style").text(rules.join("\n"));
+}
+
+/**
+ * Renders the tree to a PNG image. This needs a browser, with an `Image` and
+ * a canvas to draw it on.
+ * @param  {Object} [options] Any of `toSVG`'s options, and
+ * @param  {Number} [options.dpi=96] The resolution to record in the PNG
+ * @param  {Number} [options.scale] How many of the PNG's pixels to draw for
+ * each of the SVG's. Defaults to `dpi / 96`, so the image's physical size is
+ * that of the SVG.
+ * @return {Promise} A Promise of the PNG, as a Blob
+ */
+TidyTree.prototype.toPNG = function (options) {
+  options = Object.assign({ dpi: 96 }, options);
+  let svg = exportSVG.call(this, options),
+    doc = svg.node().ownerDocument,
+    view = doc.defaultView,
+    scale = options.scale || options.dpi / 96,
+    canvas = doc.createElement("canvas"),
+    ctx = canvas.getContext ? canvas.getContext("2d") : null;
+  if (!ctx || !view || !view.Image) {
+    return Promise.reject(Error("Cannot render a PNG without a canvas to draw it on"));
+  }
+  canvas.width = Math.round(svg.attr("width") * scale);
+  canvas.height = Math.round(svg.attr("height") * scale);
+  return (options.embedFonts ? inlineFonts(svg, view) : Promise.resolve())
+    .then(() => new Promise((resolve, reject) => {
+      let source = serializeXML(svg.node()),
+        image = new view.Image();
+      image.onload = () => {
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(Error("Cannot encode the PNG")), "image/png");
+      };
+      image.onerror = () => reject(Error("Cannot draw the tree's SVG as an image"));
+      image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(source);
+    }))
+    .then(blob => blob.arrayBuffer())
+    .then(buffer => new view.Blob([withResolution(new Uint8Array(buffer), options.dpi)], { type: "image/png" }));
+};
+
+/**
+ * Replaces the URLs in the `@font-face` rules added by `copyFontFaces` with
+ * the font files themselves, as data URLs. Fonts that can't be fetched are
+ * left as they are.
+ * @private
+ */
+function inlineFonts(svg, view) {
+  let style = svg.select("defs > style");
+  if (style.empty() || !view || !view.fetch) return Promise.resolve();
+  let css = style.text(),
+    urls = Array.from(new Set(css.match(/url\("[^"]+"\)/g) || []));
+  return Promise.all(
+    urls.map(url =>
+      view
+        .fetch(url.slice(5, -2))
+        .then(response => {
+          if (!response.ok) throw Error(`Cannot fetch font: ${url}`);
+          return response.blob();
+        })
+        .then(blob => new Promise((resolve, reject) => {
+          let reader = new view.FileReader();
+          reader.onload = () => resolve(`url("${reader.result}")`);
+          reader.onerror = reject;
+          reader.readAsDataURL(blob);
+        }))
+        .then(inlined => (css = css.split(url).join(inlined)), () => null)
+    )
+  ).then(() => style.text(css));
+}
+
+/**
+ * Returns the bytes of a PNG with a pHYs chunk recording its resolution
+ * inserted after the header
+ * @private
+ */
+function withResolution(png, dpi) {
+  let pixelsPerMeter = Math.round(dpi / 0.0254),
+    chunk = new Uint8Array(21),
+    data = new DataView(chunk.buffer);
+  data.setUint32(0, 9);
+  chunk.set([112, 72, 89, 115], 4); //"pHYs"
+  data.setUint32(8, pixelsPerMeter);
+  data.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; //The unit is the meter
+  data.setUint32(17, crc32(chunk.subarray(4, 17)));
+  //The signature and IHDR chunk take up the first 33 bytes
+  let result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, 33));
+  result.set(chunk, 33);
+  result.set(png.subarray(33), 33 + chunk.length);
+  return result;
+}
+
+let crcTable;
+
+/**
+ * Computes the CRC-32 of some bytes, as PNG chunks need
+ * @private
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = 0xffffffff;
+  bytes.forEach(b => (crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8)));
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Renders the tree as a vector PDF of a single page. Like `toSVG` (whose
+ * options it takes) it doesn't need a browser. Text is set in Helvetica, and
+ * styles from stylesheets (as opposed to those TidyTree sets) are ignored.
+ * @param  {Object} [options] Any of `toSVG`'s options, and
+ * @param  {Number} [options.pageWidth] The width of the page, in points (1/72
+ * of an inch), to which the tree is scaled. For instance, 252 fits a 3.5 inch
+ * journal column. Defaults to the SVG's width at 96 pixels to the inch.
+ * @return {String} The PDF. It's plain ASCII, so it can be saved as it is
+ * (e.g. with `new Blob([pdf], { type: "application/pdf" })`).
+ */
+TidyTree.prototype.toPDF = function (options) {
+  options = Object.assign({}, options);
+  let svg = exportSVG.call(this, options).node(),
+    [x, y, width, height] = svg.getAttribute("viewBox").split(" ").map(parseFloat),
+    pageWidth = options.pageWidth || 0.75 * parseFloat(svg.getAttribute("width")),
+    k = pageWidth / width,
+    pageHeight = height * k;
+
+  //Flip the page so that y points down, as in the SVG
+  let content = [`${pdfNumber(k)} 0 0 ${pdfNumber(-k)} ${pdfNumber(-x * k)} ${pdfNumber(pageHeight + y * k)} cm`],
+    alphas = [];
+  walkSVG(svg, (element, state) => {
+    let drawing = pdfElement(element, state, svg);
+    if (!drawing) return;
+    //Translucency needs a graphics state for each level of opacity
+    if (state.opacity < 1 && !alphas.includes(state.opacity)) alphas.push(state.opacity);
+    content.push(
+      "q" + (state.opacity < 1 ? ` /GS${alphas.indexOf(state.opacity)} gs` : ""),
+      state.matrix.map(pdfNumber).join(" ") + " cm",
+      drawing,
+      "Q"
+    );
+  });
+  let stream = content.join("\n");
+
+  let resources = "/Font << /F1 5 0 R /F2 6 0 R >>";
+  if (alphas.length) {
+    resources += " /ExtGState << " + alphas.map((a, i) => `/GS${i} << /ca ${pdfNumber(a)} /CA ${pdfNumber(a)} >>`).join(" ") + " >>";
+  }
+  let objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNumber(pageWidth)} ${pdfNumber(pageHeight)}] /Contents 4 0 R /Resources << ${resources} >> >>`,
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+  ];
+  let pdf = "%PDF-1.4\n",
+    offsets = objects.map((object, i) => {
+      let offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    }),
+    xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => (pdf += `${String(offset).padStart(10, "0")} 00000 n \n`));
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+};
+
+/**
+ * Formats a number for a PDF, which has no exponential notation
+ * @private
  */
-TidyTree.prototype.setRotation = function (degrees) {
-  this.rotation = degrees;
-  if (this.parent)
-    this.parent
-      .select("svg g")
-      .attr("transform", `
-        translate(${this.transform.x},${this.transform.y})
-        scale(${this.transform.k})
-        rotate(${this.rotation},
-          ${this.layout === "circular" ? 0 : this.width / 2},
-          ${this.layout === "circular" ? 0 : this.height / 2}
-        )
-      `);
-  return this;
-};
+function pdfNumber(n) {
+  return String(+n.toFixed(3));
+}
 
 /**
- * Set the TidyTree's Horizontal Stretch
- * @param {Number} proportion The new proportion by which to stretch the tree
- * @return {TidyTree} the TidyTree object
+ * Returns the PDF operators that draw an element (as visited by `walkSVG`)
+ * in its own coordinates
+ * @private
  */
-TidyTree.prototype.setHStretch = function (proportion) {
-  this.hStretch = parseFloat(proportion);
-  if (this.parent) {
-    let animCache = this.animation;
-    this.setAnimation(0);
-    this.redraw();
-    this.setAnimation(animCache);
+function pdfElement(element, state, svg) {
+  let number = name => parseFloat(element.getAttribute(name)) || 0,
+    color = value => {
+      let c = d3.color(value === "currentColor" ? state.color : value);
+      return c ? [c.r, c.g, c.b].map(v => pdfNumber(v / 255)).join(" ") : null;
+    },
+    fill = state.fill === "none" ? null : color(state.fill),
+    stroke = state.stroke === "none" || !state.stroke ? null : color(state.stroke),
+    ops = [];
+
+  if (element.tagName === "text") {
+    let text = element.textContent,
+      { left, baseline } = textBox(element, state);
+    if (!text || !fill) return "";
+    let escaped = text.replace(/[\\()]/g, "\\$&").replace(/[^\x20-\x7e]/g, c =>
+      c.charCodeAt(0) < 256 ? "\\" + c.charCodeAt(0).toString(8).padStart(3, "0") : "?"
+    );
+    return `${fill} rg BT /${state.bold ? "F2" : "F1"} ${pdfNumber(state.fontSize)} Tf 1 0 0 -1 ${pdfNumber(left)} ${pdfNumber(baseline)} Tm (${escaped}) Tj ET`;
   }
-  return this;
-};
+
+  if (element.tagName === "rect") {
+    let [x, y, w, h] = ["x", "y", "width", "height"].map(number),
+      gradient = /^url\(#(.+)\)$/.exec(state.fill);
+    if (!w || !h) return "";
+    if (gradient) return pdfGradient(svg.querySelector(`[id="${gradient[1]}"]`), x, y, w, h);
+    ops.push(`${pdfNumber(x)} ${pdfNumber(y)} ${pdfNumber(w)} ${pdfNumber(h)} re`);
+  } else if (element.tagName === "circle") {
+    let [cx, cy, r] = ["cx", "cy", "r"].map(number),
+      c = 0.5523 * r;
+    if (!r) return "";
+    ops.push(
+      `${pdfNumber(cx + r)} ${pdfNumber(cy)} m`,
+      `${pdfNumber(cx + r)} ${pdfNumber(cy + c)} ${pdfNumber(cx + c)} ${pdfNumber(cy + r)} ${pdfNumber(cx)} ${pdfNumber(cy + r)} c`,
+      `${pdfNumber(cx - c)} ${pdfNumber(cy + r)} ${pdfNumber(cx - r)} ${pdfNumber(cy + c)} ${pdfNumber(cx - r)} ${pdfNumber(cy)} c`,
+      `${pdfNumber(cx - r)} ${pdfNumber(cy - c)} ${pdfNumber(cx - c)} ${pdfNumber(cy - r)} ${pdfNumber(cx)} ${pdfNumber(cy - r)} c`,
+      `${pdfNumber(cx + c)} ${pdfNumber(cy - r)} ${pdfNumber(cx + r)} ${pdfNumber(cy - c)} ${pdfNumber(cx + r)} ${pdfNumber(cy)} c h`
+    );
+  } else if (element.tagName === "line") {
+    ops.push(`${pdfNumber(number("x1"))} ${pdfNumber(number("y1"))} m ${pdfNumber(number("x2"))} ${pdfNumber(number("y2"))} l`);
+  } else if (element.tagName === "path") {
+    parsePath(element.getAttribute("d")).forEach(([command, ...points]) => {
+      ops.push(command === "Z" ? "h" : points.map(pdfNumber).join(" ") + " " + { M: "m", L: "l", C: "c" }[command]);
+    });
+  }
+  if (!ops.length) return "";
+  if (fill) ops.unshift(`${fill} rg`);
+  if (stroke) {
+    //Strokes that don't scale are as wide in the SVG's coordinates as they're set
+    let [a, b, c, d] = state.matrix,
+      scale = state.nonScaling ? Math.sqrt(Math.abs(a * d - b * c)) || 1 : 1;
+    ops.unshift(`${stroke} RG ${pdfNumber(state.strokeWidth / scale)} w`);
+    if (state.dashes) ops.unshift(`[${state.dashes.map(pdfNumber).join(" ")}] 0 d`);
+  }
+  ops.push(fill && stroke ? "B" : fill ? "f" : stroke ? "S" : "n");
+  return ops.join("\n");
+}
 
 /**
- * Set the TidyTree's Vertical Stretch
- * @param {Number} proportion The new proportion by which to stretch the tree
- * @return {TidyTree} the TidyTree object
+ * Approximates a rect filled with a linear gradient by strips of solid color
+ * @private
  */
-TidyTree.prototype.setVStretch = function (proportion) {
-  this.vStretch = parseFloat(proportion);
-  if (this.parent) {
-    let animCache = this.animation;
-    this.setAnimation(0);
-    this.redraw();
-    this.setAnimation(animCache);
+function pdfGradient(gradient, x, y, w, h) {
+  if (!gradient) return "";
+  let stops = Array.from(gradient.querySelectorAll("stop")).map(stop => [
+      parseFloat(stop.getAttribute("offset")),
+      stop.getAttribute("stop-color")
+    ]),
+    at = name => parseFloat(gradient.getAttribute(name)) || 0,
+    [x1, y1, x2, y2] = ["x1", "y1", "x2", "y2"].map(at),
+    vertical = Math.abs(y2 - y1) > Math.abs(x2 - x1),
+    strips = 32,
+    ops = [];
+  if (!stops.length) return "";
+  let colorAt = t => {
+    let i = stops.findIndex(stop => stop[0] >= t);
+    if (i <= 0) return stops[i < 0 ? stops.length - 1 : 0][1];
+    let [t0, c0] = stops[i - 1], [t1, c1] = stops[i];
+    return d3.interpolateRgb(c0, c1)((t - t0) / (t1 - t0 || 1));
+  };
+  for (let i = 0; i < strips; i++) {
+    //Gradients are laid out over the rect, from 0 to 1 along each side
+    let middle = (i + 0.5) / strips,
+      t = vertical ? (middle - y1) / (y2 - y1) : (middle - x1) / (x2 - x1),
+      c = d3.color(colorAt(Math.max(0, Math.min(1, t)))),
+      rect = vertical ?
+        [x, y + (i / strips) * h, w, h / strips] :
+        [x + (i / strips) * w, y, w / strips, h];
+    ops.push(`${[c.r, c.g, c.b].map(v => pdfNumber(v / 255)).join(" ")} rg ${rect.map(pdfNumber).join(" ")} re f`);
   }
-  return this;
-};
+  return ops.join("\n");
+}
 
 /**
- * Set the TidyTree's animation time. Note that this does not trigger a
- * redraw.
- * @param {number} time The desired duration of an animation, in ms. Set to 0
- * to turn animations off completely.
- * @return {TidyTree} The TidyTree object
+ * The widths of the printable ASCII characters in Helvetica (and Arial), in
+ * thousandths of the font size
+ * @type {Array}
  */
-TidyTree.prototype.setAnimation = function (time) {
-  this.animation = time;
-  return this;
-};
+const helveticaWidths = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
 
 /**
- * Shows or hides the Branch Nodes
- * @param  {Boolean} show Should Branch nodes be shown?
- * @return {TidyTree} the TidyTree object
+ * Measures text set in Helvetica. Exports measure with this rather than with
+ * `textWidth`, so they come out the same with or without a browser.
+ * @private
  */
-TidyTree.prototype.setBranchNodes = function (show) {
-  this.branchNodes = show ? true : false;
-  if (this.parent) {
-    //i.e. has already been drawn
-    this.parent
-      .select("svg")
-      .selectAll("g.tidytree-node-internal circle")
-      .transition()
-      .duration(this.animation)
-      .style("opacity", show ? 1 : 0);
+function helveticaWidth(text, fontSize) {
+  let width = 0;
+  for (let i = 0; i < text.length; i++) {
+    width += helveticaWidths[text.charCodeAt(i) - 32] || 556;
   }
-  return this;
-};
+  return (width * fontSize) / 1000;
+}
 
 /**
- * Restyles Leaf Nodes
- * @param  {Function} styler A function that restyles each node. `styler`
- * receives a reference to the DOM node to be styled, and an associated data
- * object.
- * @return {TidyTree} the TidyTree Object
+ * Returns where a text element (as visited by `walkSVG`) starts, its baseline
+ * and its width
+ * @private
  */
-TidyTree.prototype.eachBranchNode = function (styler) {
-  if (!this.parent)
-    throw Error(
-      "Tree has not been rendered yet! Can't style Nodes that don't exist!"
-    );
-  this.parent
-    .select("svg")
-    .selectAll("g.tidytree-node-internal circle")
-    .each(function (d) { styler(this, d); });
-  return this;
-};
+function textBox(element, state) {
+  let width = helveticaWidth(element.textContent, state.fontSize),
+    dy = element.getAttribute("dy") || "",
+    shift = parseFloat(dy) || 0;
+  if (/em$/.test(dy)) shift *= state.fontSize;
+  return {
+    left: (parseFloat(element.getAttribute("x")) || 0) -
+      (state.anchor === "middle" ? width / 2 : state.anchor === "end" ? width : 0),
+    baseline: (parseFloat(element.getAttribute("y")) || 0) + shift,
+    width: width
+  };
+}
 
 /**
- * Set the TidyTree's branchLabels
- * @param  {Boolean} show Should the TidyTree show branchLabels?
- * @return {TidyTree}     the TidyTree Object
+ * Multiplies two affine transforms, given as [a, b, c, d, e, f]
+ * @private
  */
-TidyTree.prototype.setBranchLabels = function (show) {
-  this.branchLabels = show ? true : false;
-  if (this.parent) {
-    //i.e. has already been drawn
-    this.parent
-      .select("svg")
-      .selectAll("g.tidytree-node-internal text")
-      .transition()
-      .duration(this.animation)
-      .style("opacity", show ? 1 : 0);
-  }
-  return this;
-};
+function multiply([a, b, c, d, e, f], [g, h, i, j, k, l]) {
+  return [a * g + c * h, b * g + d * h, a * i + c * j, b * i + d * j, a * k + c * l + e, b * k + d * l + f];
+}
 
 /**
- * Restyles Branch Label
- * @param  {Function} styler A function that restyles each node. `styler`
- * receives a reference to the DOM node to be styled, and an associated data
- * object.
- * @return {TidyTree} the TidyTree Object
+ * Returns the affine transform for an SVG transform attribute
+ * @private
  */
-TidyTree.prototype.eachBranchLabel = function (styler) {
-  if (!this.parent){
-    throw Error("Tree has not been rendered yet! Can't style Nodes that don't exist!");
+function transformMatrix(transform) {
+  return parseTransform(transform).reduce((m, [operation, a, b, c, d, e, f]) => {
+    if (operation === "translate") return multiply(m, [1, 0, 0, 1, a, b || 0]);
+    if (operation === "scale") return multiply(m, [a, 0, 0, b === undefined ? a : b, 0, 0]);
+    if (operation === "matrix") return multiply(m, [a, b, c, d, e, f]);
+    if (operation === "rotate") {
+      let cos = Math.cos(a / radToDeg),
+        sin = Math.sin(a / radToDeg),
+        rotated = multiply(multiply(m, [1, 0, 0, 1, b || 0, c || 0]), [cos, sin, -sin, cos, 0, 0]);
+      return multiply(rotated, [1, 0, 0, 1, -b || 0, -c || 0]);
+    }
+    return m;
+  }, [1, 0, 0, 1, 0, 0]);
+}
+
+/**
+ * Parses SVG path data into absolute moves, lines, cubic curves and closes
+ * (["M", x, y], ["L", x, y], ["C", x1, y1, x2, y2, x, y] and ["Z"]), which is
+ * all PDF has
+ * @private
+ */
+function parsePath(d) {
+  let tokens = (d || "").match(/[a-df-z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi) || [],
+    segments = [],
+    i = 0,
+    command = null,
+    x = 0, y = 0,
+    start = [0, 0],
+    control = null;
+  let next = () => parseFloat(tokens[i++]);
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) command = tokens[i++];
+    else if (!command) { i++; continue; }
+    let relative = command !== command.toUpperCase(),
+      ox = relative ? x : 0,
+      oy = relative ? y : 0,
+      type = command.toUpperCase(),
+      reflected = control ? [2 * x - control[0], 2 * y - control[1]] : [x, y];
+    control = null;
+    if (type === "M") {
+      x = ox + next();
+      y = oy + next();
+      start = [x, y];
+      segments.push(["M", x, y]);
+      //Coordinates after a move are lines
+      command = relative ? "l" : "L";
+    } else if (type === "L" || type === "H" || type === "V") {
+      if (type !== "V") x = ox + next();
+      if (type !== "H") y = oy + next();
+      segments.push(["L", x, y]);
+    } else if (type === "C" || type === "S") {
+      let c1 = type === "C" ? [ox + next(), oy + next()] : reflected,
+        c2 = [ox + next(), oy + next()];
+      x = ox + next();
+      y = oy + next();
+      segments.push(["C", c1[0], c1[1], c2[0], c2[1], x, y]);
+      control = c2;
+    } else if (type === "Q" || type === "T") {
+      let q = type === "Q" ? [ox + next(), oy + next()] : reflected,
+        x0 = x, y0 = y;
+      x = ox + next();
+      y = oy + next();
+      segments.push(["C",
+        x0 + (2 / 3) * (q[0] - x0), y0 + (2 / 3) * (q[1] - y0),
+        x + (2 / 3) * (q[0] - x), y + (2 / 3) * (q[1] - y),
+        x, y
+      ]);
+      control = q;
+    } else if (type === "A") {
+      let [rx, ry, angle, large, sweep] = [next(), next(), next(), next(), next()],
+        x0 = x, y0 = y;
+      x = ox + next();
+      y = oy + next();
+      segments.push(...arcToCurves(x0, y0, rx, ry, angle, large, sweep, x, y));
+    } else if (type === "Z") {
+      [x, y] = start;
+      segments.push(["Z"]);
+      command = null;
+    } else {
+      command = null;
+    }
   }
-  this.parent
-    .select("svg")
-    .selectAll("g.tidytree-node-internal text")
-    .each(function (d, i, l) { styler(this, d); });
-  return this;
-};
+  return segments;
+}
 
 /**
- * Shows or hides the TidyTree's branch labels
- * @param {Boolean} show Should the TidyTree show branch distances?
- * @return {TidyTree} The TidyTree Object
+ * Converts an SVG elliptical arc into cubic curves, each spanning at most a
+ * quarter turn, following the SVG specification's endpoint-to-center
+ * conversion
+ * @private
  */
-TidyTree.prototype.setBranchDistances = function (show) {
-  this.branchDistances = show ? true : false;
-  if (this.parent) {
-    //i.e. has already been drawn
-    let links = this.parent
-      .select("svg g.tidytree-links")
-      .selectAll("g.tidytree-link")
-      .selectAll("text");
-    links.attr("transform", labelTransformers[this.type][this.mode][this.layout]);
-    links
-      .transition()
-      .duration(this.animation)
-      .style("opacity", show ? 1 : 0);
+function arcToCurves(x1, y1, rx, ry, angle, large, sweep, x2, y2) {
+  if (!rx || !ry) return [["L", x2, y2]];
+  if (x1 === x2 && y1 === y2) return [];
+  let cos = Math.cos(angle / radToDeg),
+    sin = Math.sin(angle / radToDeg),
+    dx = (x1 - x2) / 2,
+    dy = (y1 - y2) / 2,
+    x = cos * dx + sin * dy,
+    y = -sin * dx + cos * dy;
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  //Radii too small to reach are scaled up until they just do
+  let lambda = (x * x) / (rx * rx) + (y * y) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
   }
-  return this;
-};
+  let sign = +large === +sweep ? -1 : 1,
+    root = sign * Math.sqrt(Math.max(0,
+      (rx * rx * ry * ry - rx * rx * y * y - ry * ry * x * x) / (rx * rx * y * y + ry * ry * x * x)
+    )),
+    cx0 = (root * rx * y) / ry,
+    cy0 = (-root * ry * x) / rx,
+    cx = cos * cx0 - sin * cy0 + (x1 + x2) / 2,
+    cy = sin * cx0 + cos * cy0 + (y1 + y2) / 2,
+    theta = Math.atan2((y - cy0) / ry, (x - cx0) / rx),
+    delta = Math.atan2((-y - cy0) / ry, (-x - cx0) / rx) - theta;
+  if (+sweep && delta < 0) delta += 2 * Math.PI;
+  if (!+sweep && delta > 0) delta -= 2 * Math.PI;
+
+  let pieces = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9)),
+    step = delta / pieces,
+    t = (4 / 3) * Math.tan(step / 4),
+    point = a => [
+      cx + rx * Math.cos(a) * cos - ry * Math.sin(a) * sin,
+      cy + rx * Math.cos(a) * sin + ry * Math.sin(a) * cos
+    ],
+    tangent = a => [
+      -rx * Math.sin(a) * cos - ry * Math.cos(a) * sin,
+      -rx * Math.sin(a) * sin + ry * Math.cos(a) * cos
+    ],
+    curves = [];
+  for (let i = 0; i < pieces; i++) {
+    let a = theta + i * step,
+      b = a + step,
+      [ax, ay] = point(a), [bx, by] = point(b),
+      [tax, tay] = tangent(a), [tbx, tby] = tangent(b);
+    curves.push(["C", ax + t * tax, ay + t * tay, bx - t * tbx, by - t * tby, bx, by]);
+  }
+  return curves;
+}
 
 /**
- * Restyles Branch Distances
- * @param  {Function} styler A function that restyles each node. `styler`
- * receives a reference to the DOM node to be styled, and an associated data
- * object.
- * @return {TidyTree} the TidyTree Object
+ * Presentation properties that shapes inherit from their ancestors (or, for
+ * `vector-effect`, set for themselves), and how to read them
+ * @type {Array}
  */
-TidyTree.prototype.eachBranchDistance = function (styler) {
-  if (!this.parent)
-    throw Error("Tree has not been rendered yet! Can't style Nodes that don't exist!");
-  this.parent
-    .select("svg g.tidytree-links")
-    .selectAll("g.tidytree-link")
-    .selectAll("text")
-    .each(function (d, i, l) { styler(this, d); });
-  return this;
-};
+const walkedProperties = [
+  ["fill", "fill"],
+  ["stroke", "stroke"],
+  ["color", "color"],
+  ["stroke-width", "strokeWidth", parseFloat],
+  ["stroke-dasharray", "dashes", v => v === "none" ? null : v.split(/[\s,]+/).map(parseFloat)],
+  ["vector-effect", "nonScaling", v => v === "non-scaling-stroke"],
+  ["font-size", "fontSize", parseFloat],
+  ["font-weight", "bold", v => v === "bold" || parseFloat(v) >= 600],
+  ["text-anchor", "anchor"]
+];
 
 /**
- * Shows or Hides the Leaf Nodes
- * @param  {Boolean} show Should leaf nodes be visible?
- * @return {TidyTree} The TidyTree Object
+ * Visits every visible shape and text element of an SVG with the transform
+ * from its coordinates to the SVG's, and the presentation properties it
+ * inherits (set as attributes or inline styles, since stylesheets aren't
+ * consulted)
+ * @private
  */
-TidyTree.prototype.setLeafNodes = function (show) {
-  this.leafNodes = show ? true : false;
-  if (this.parent) {
-    //i.e. has already been drawn
-    this.parent
-      .select("svg")
-      .selectAll("g.tidytree-node-leaf circle")
-      .transition()
-      .duration(this.animation)
-      .style("opacity", show ? 1 : 0);
-  }
-  return this;
-};
+function walkSVG(svg, visit) {
+  let value = (element, name) => {
+    let style = element.style ? element.style.getPropertyValue(name) : "";
+    return style || element.getAttribute(name);
+  };
+  let walk = (element, inherited) => {
+    if (/^(defs|title|style|linearGradient|radialGradient|clipPath)$/.test(element.tagName)) return;
+    if (value(element, "display") === "none" || value(element, "visibility") === "hidden") return;
+    let opacity = parseFloat(value(element, "opacity")),
+      state = Object.assign({}, inherited, {
+        opacity: inherited.opacity * (isNaN(opacity) ? 1 : opacity),
+        matrix: element === svg ? inherited.matrix :
+          multiply(inherited.matrix, transformMatrix(element.getAttribute("transform"))),
+        nonScaling: false
+      });
+    if (!state.opacity) return;
+    walkedProperties.forEach(([name, key, read]) => {
+      let v = value(element, name);
+      if (v !== null && v !== "") state[key] = read ? read(v) : v;
+    });
+    if (/^(path|circle|rect|line|text)$/.test(element.tagName)) visit(element, state);
+    else Array.from(element.children).forEach(child => walk(child, state));
+  };
+  walk(svg, {
+    matrix: [1, 0, 0, 1, 0, 0],
+    opacity: 1,
+    fill: "black",
+    stroke: "none",
+    color: "black",
+    strokeWidth: 1,
+    dashes: null,
+    fontSize: 16,
+    bold: false,
+    anchor: "start"
+  });
+}
 
 /**
- * Restyles Leaf Nodes
- * @param  {Function} styler A function that restyles each node. `styler`
- * receives a reference to the DOM node to be styled, and an associated data
- * object.
- * @return {TidyTree} the TidyTree Object
+ * Returns the [left, top, right, bottom] bounds of what's drawn in an SVG,
+ * in its coordinates. (Curves are bounded by their control points, so this
+ * can run a little generous.)
+ * @private
  */
-TidyTree.prototype.eachLeafNode = function (styler) {
-  if (!this.parent){
-    throw Error("Tree has not been rendered yet! Can't style Nodes that don't exist!");
-  }
-  this.parent
-    .select("svg")
-    .selectAll("g.tidytree-node-leaf circle")
-    .each(function (d) {
-      styler(this, d);
+function svgBounds(svg) {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  walkSVG(svg, (element, state) => {
+    let number = name => parseFloat(element.getAttribute(name)) || 0,
+      points = [];
+    if (element.tagName === "text") {
+      if (!element.textContent) return;
+      let { left, baseline, width } = textBox(element, state);
+      points = [[left, baseline - state.fontSize], [left + width, baseline + state.fontSize / 4]];
+    } else if (element.tagName === "rect") {
+      let [x, y, w, h] = ["x", "y", "width", "height"].map(number);
+      if (w && h) points = [[x, y], [x + w, y + h]];
+    } else if (element.tagName === "circle") {
+      let [cx, cy, r] = ["cx", "cy", "r"].map(number);
+      if (r) points = [[cx - r, cy - r], [cx + r, cy + r]];
+    } else if (element.tagName === "line") {
+      points = [[number("x1"), number("y1")], [number("x2"), number("y2")]];
+    } else if (element.tagName === "path") {
+      parsePath(element.getAttribute("d")).forEach(([command, ...coordinates]) => {
+        for (let i = 0; i < coordinates.length; i += 2) points.push([coordinates[i], coordinates[i + 1]]);
+      });
+    }
+    //Rects and circles could be rotated, so take all of their corners
+    if (points.length === 2 && element.tagName !== "line") {
+      let [[a, b], [c, d]] = points;
+      points = [[a, b], [c, b], [a, d], [c, d]];
+    }
+    let [m0, m1, m2, m3, m4, m5] = state.matrix;
+    points.forEach(([x, y]) => {
+      let px = m0 * x + m2 * y + m4,
+        py = m1 * x + m3 * y + m5;
+      x0 = Math.min(x0, px);
+      y0 = Math.min(y0, py);
+      x1 = Math.max(x1, px);
+      y1 = Math.max(y1, py);
     });
-  return this;
-};
+  });
+  if (!isFinite(x0)) return [0, 0, parseFloat(svg.getAttribute("width")) || 0, parseFloat(svg.getAttribute("height")) || 0];
+  return [x0, y0, x1, y1];
+}
 
 /**
- * Shows or Hides the TidyTree's Leaf Labels
- * @param  {Boolean} show Should the TidyTree show leafLabels?
- * @return {TidyTree}     the TidyTree Object
+ * Escapes text for use in XML content or attribute values.
+ * @private
  */
-TidyTree.prototype.setLeafLabels = function (show) {
-  this.leafLabels = show ? true : false;
-  if (this.parent) {
-    //i.e. has already been drawn
-    this.parent
-      .select("svg")
-      .selectAll("g.tidytree-node-leaf text")
-      .transition()
-      .duration(this.animation)
-      .style("opacity", show ? 1 : 0);
-  }
-  return this;
-};
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
 /**
- * Restyles Leaf Labels
- * @param  {Function} styler A function that restyles each node. `styler`
- * receives a reference to the DOM node to be styled, and an associated data
- * object.
- * @return {TidyTree} the TidyTree Object
+ * Returns the attributes of a Branch to be written by the XML serializers,
+ * leaving out the metadata's id column (which duplicates the node's id).
+ * @private
  */
-TidyTree.prototype.eachLeafLabel = function (styler) {
-  if (!this.parent){
-    throw Error("Tree has not been rendered yet! Can't style Nodes that don't exist!");
-  }
-  this.parent
-    .select("svg")
-    .selectAll("g.tidytree-node-leaf text")
-    .each(function (d) { styler(this, d); });
-  return this;
-};
+function exportedAttributes(branch) {
+  let attributes = Object.assign({}, nodeMetadata.call(this, branch));
+  delete attributes.id;
+  return attributes;
+}
 
 /**
- * Shows or hides the TidyTree's branch labels
- * @param {Boolean} show Should the TidyTree show branchLabels?
- * @return {TidyTree} The TidyTree Object
+ * Serializes the tree (including collapsed clades) as PhyloXML. Confidence
+ * values, colors and taxonomic names are written to their own PhyloXML
+ * elements, and all other node attributes (annotations and metadata) as
+ * properties, so they survive a round-trip through `setTree`.
+ * @return {String} A PhyloXML document
  */
-TidyTree.prototype.setRuler = function (show) {
-  this.ruler = show ? true : false;
-  if (this.parent) {
-    //i.e. has already been drawn
-    if (show) {
-      this.parent
-        .select("g.tidytree-ruler")
-        .transition()
-        .duration(this.animation)
-        .attr("opacity", 1);
-    } else {
-      this.parent
-        .select("g.tidytree-ruler")
-        .transition()
-        .duration(this.animation)
-        .attr("opacity", 0);
+TidyTree.prototype.toPhyloXML = function () {
+  let clade = (branch, indent) => {
+    let attributes = exportedAttributes.call(this, branch),
+      inner = indent + "  ",
+      lines = [`${indent}<clade>`];
+    if (branch.id) lines.push(`${inner}<name>${escapeXML(branch.id)}</name>`);
+    if (branch.parent || branch.length) {
+      lines.push(`${inner}<branch_length>${branch.length}</branch_length>`);
     }
-  }
-  return this;
+    confidenceTypes.forEach(type => {
+      if (typeof attributes[type] !== "number") return;
+      lines.push(`${inner}<confidence type="${type}">${attributes[type]}</confidence>`);
+      delete attributes[type];
+    });
+    let color = attributes.color ? d3.color(attributes.color) : null;
+    if (color) {
+      color = color.rgb();
+      lines.push(
+        `${inner}<color><red>${color.r}</red><green>${color.g}</green><blue>${color.b}</blue></color>`
+      );
+      delete attributes.color;
+    }
+    let taxonomy = taxonomyFields.filter(field => attributes[field] !== undefined);
+    if (taxonomy.length) {
+      lines.push(`${inner}<taxonomy>`);
+      taxonomy.forEach(field => {
+        lines.push(`${inner}  <${field}>${escapeXML(attributes[field])}</${field}>`);
+        delete attributes[field];
+      });
+      lines.push(`${inner}</taxonomy>`);
+    }
+    Object.keys(attributes).forEach(key => {
+      if (attributes[key] === undefined || attributes[key] === null) return;
+      let [datatype, text] = typedText(attributes[key]);
+      lines.push(
+        `${inner}<property ref="tidytree:${escapeXML(key)}" datatype="${datatype}" applies_to="clade">${escapeXML(text)}</property>`
+      );
+    });
+    branch.children.forEach(child => lines.push(clade(child, inner)));
+    lines.push(`${indent}</clade>`);
+    return lines.join("\n");
+  };
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<phyloxml xmlns="http://www.phyloxml.org" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    '  <phylogeny rooted="true">',
+    clade(this.data, "    "),
+    "  </phylogeny>",
+    "</phyloxml>"
+  ].join("\n");
 };
 
 /**
- * Searches the tree, returns Search Results
- * @param  {Function} test A function which takes a Branch and returns a Truthy
- * or Falsy value.
- * @return {Array} The array of results
+ * Serializes the tree (including collapsed clades) as NeXML. Leaves become
+ * OTUs, and node attributes (annotations and metadata) are written as
+ * literal metadata in the `tidytree` namespace, so they survive a
+ * round-trip through `setTree`.
+ * @return {String} A NeXML document
  */
-TidyTree.prototype.search = function (test) {
-  if (!test) return;
-  let results = this.parent
-    .select("svg g.tidytree-nodes")
-    .selectAll("g.tidytree-node")
-    .filter(test);
-  if (this.events.search.length) this.events.search.forEach(c => c(results));
-  return results;
+TidyTree.prototype.toNeXML = function () {
+  let otus = [],
+    nodes = [],
+    edges = [],
+    count = 0;
+  this.data.each(branch => {
+    let id = (branch._nexmlId = `n${++count}`),
+      attributes = exportedAttributes.call(this, branch),
+      node = `      <node id="${id}"`;
+    if (branch.id) node += ` label="${escapeXML(branch.id)}"`;
+    if (!branch.children.length) {
+      otus.push(`    <otu id="t${count}" label="${escapeXML(branch.id)}"/>`);
+      node += ` otu="t${count}"`;
+    }
+    if (!branch.parent) node += ' root="true"';
+    let metas = Object.keys(attributes)
+      .filter(key => attributes[key] !== undefined && attributes[key] !== null)
+      .map(key => {
+        let [datatype, text] = typedText(attributes[key]);
+        return `        <meta xsi:type="nex:LiteralMeta" property="tidytree:${escapeXML(key)}" content="${escapeXML(text)}" datatype="${datatype}"/>`;
+      });
+    nodes.push(metas.length ?
+      [`${node} about="#${id}">`].concat(metas, "      </node>").join("\n") :
+      `${node}/>`
+    );
+    if (branch.parent) {
+      edges.push(
+        `      <edge id="e${count}" source="${branch.parent._nexmlId}" target="${id}" length="${branch.length}"/>`
+      );
+    } else if (branch.length) {
+      edges.push(`      <rootedge id="e${count}" target="${id}" length="${branch.length}"/>`);
+    }
+  });
+  this.data.each(branch => delete branch._nexmlId);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<nex:nexml xmlns:nex="http://www.nexml.org/2009" xmlns="http://www.nexml.org/2009" ' +
+      'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema#" ' +
+      'xmlns:tidytree="https://cdcgov.github.io/TidyTree/terms#" version="0.9" generator="TidyTree">',
+    '  <otus id="otus">',
+    ...otus,
+    "  </otus>",
+    '  <trees id="trees" otus="otus">',
+    '    <tree id="tree" xsi:type="nex:FloatTree">',
+    ...nodes,
+    ...edges,
+    "    </tree>",
+    "  </trees>",
+    "</nex:nexml>"
+  ].join("\n");
 };
 
 /**
- * Attaches a new event listener
- * Please note that this is not yet functioning.
- * @param  {String}   events   A space-delimited list of event names
+ * Splits a space-delimited list of events into their types and names. An
+ * event like "select.myview" is the `select` event, namespaced "myview".
+ * @private
+ */
+function parseEvents(events, anyType) {
+  return events.trim().split(/\s+/).map(event => {
+    let dot = event.indexOf("."),
+      type = dot < 0 ? event : event.slice(0, dot),
+      name = dot < 0 ? "" : event.slice(dot + 1);
+    //Only `off` may leave out the type, to remove a namespace from every event
+    if (!(anyType && !type && name) && !TidyTree.validEvents.includes(type)) {
+      throw Error(`
+      Cannot handle TidyTree event: ${type},\n
+      Valid events are: ${TidyTree.validEvents.join(', ')}
+    `);
+    }
+    return { type: type, name: name };
+  });
+}
+
+/**
+ * Returns a fresh map from every event to its (empty) list of listeners
+ * @private
+ */
+function emptyEvents() {
+  let events = {};
+  TidyTree.validEvents.forEach(event => (events[event] = []));
+  return events;
+}
+
+/**
+ * Adds a listener to events, replacing any with the same namespace.
+ * @private
+ */
+function listen(events, callback, once) {
+  parseEvents(events).forEach(({ type, name }) => {
+    let listeners = this.events[type];
+    if (name) listeners = listeners.filter(l => l.name !== name);
+    listeners.push({ callback: callback, name: name, once: once });
+    this.events[type] = listeners;
+  });
+  return this;
+}
+
+/**
+ * Attaches a new event listener. Listeners are called with the event's
+ * payload (see `TidyTree.validEvents` and the README for what each event
+ * passes) and the TidyTree as `this`.
+ * @param  {String}   events   A space-delimited list of event names. Names
+ * may be namespaced, as in "select.myview", so the listener can be removed
+ * without knowing the callback. Adding a listener replaces any already
+ * attached to the same event and namespace.
  * @param  {Function} callback The function to run when one of the `events` occurs.
  * @return {TidyTree} The TidyTree on which this method was called.
  */
 TidyTree.prototype.on = function (events, callback) {
-  events.split(" ").forEach(event => this.events[event].push(callback));
-  return this;
+  return listen.call(this, events, callback, false);
 };
 
 /**
- * Removes all event listeners from the given events
+ * Attaches an event listener that is removed after it first runs
+ * @param  {String}   events   A space-delimited list of (optionally
+ * namespaced) event names
+ * @param  {Function} callback The function to run the next time one of the
+ * `events` occurs.
+ * @return {TidyTree} The TidyTree on which this method was called.
+ */
+TidyTree.prototype.once = function (events, callback) {
+  return listen.call(this, events, callback, true);
+};
+
+/**
+ * Removes event listeners. `off("select")` removes every `select` listener,
+ * `off("select.myview")` those namespaced "myview", `off(".myview")` those
+ * namespaced "myview" from every event, and `off("select", callback)` only
+ * `callback`.
  * @param  {String}   events   A space-delimited list of event names
+ * @param  {Function} [callback] The listener to remove
  * @return {TidyTree} The TidyTree on which this method was called.
  */
-TidyTree.prototype.off = function (events) {
-  events.split(" ").forEach(event => (this.events[event] = []));
+TidyTree.prototype.off = function (events, callback) {
+  parseEvents(events, true).forEach(({ type, name }) => {
+    (type ? [type] : TidyTree.validEvents).forEach(t => {
+      this.events[t] = this.events[t].filter(l =>
+        (name && l.name !== name) || (callback && l.callback !== callback)
+      );
+    });
+  });
   return this;
 };
 
 /**
  * Forces the tree to respond as though an `event` has occurred
  * @param  {String} events space-delimited list of names of events to trigger.
+ * A namespaced name triggers only the listeners in that namespace.
  * @param  {Spread} args Any arguments which should be passed to the event
  * handler(s).
- * @return The output of the callback run on `event`
+ * @return {Array} The outputs of the listeners, for each of the `events`
  */
 TidyTree.prototype.trigger = function (events, ...args) {
-  return events.split(" ").map(event => {
-    if (this.events[event].length)
-      return this.events[event].map(handler => handler(args));
-    return [];
+  return parseEvents(events).map(({ type, name }) => {
+    let listeners = this.events[type].filter(l => !name || l.name === name);
+    this.events[type] = this.events[type].filter(l => !(l.once && listeners.includes(l)));
+    return listeners.map(l => l.callback.apply(this, args));
   });
 };
 